@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+/**
+ * PSD to Elementor CLI
+ * Converts PSD files to Elementor JSON templates without a browser
+ *
+ * USAGE:
+ *   psd-to-elementor convert <input.psd|glob...> [options]
+ *
+ * OPTIONS:
+ *   -o, --output <file>  Output file (single input only)
+ *   --out-dir <dir>      Output directory (default: next to each input)
+ *   --smart              Use smart detection for ungrouped/unnamed layers
+ *   --pretty             Indent the JSON output
+ *   --assets             Export layer images as PNG into <out>/assets/<name>/
+ *   --layout <mode>      "containers" (default) or "sections" for sites without Flexbox Containers
+ *   --globals            Use kit colors/typography, written to <name>_site-settings.json
+ *   --rules <file>       Naming rules file (JSON or YAML) mapping layer names to widgets
+ *   --report             Write the conversion report as <name>_report.json and .html
+ *   --verbose            Show the converter's debug logging
+ *   -h, --help           Show this help
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { convert, createReportHtml, LAYOUT_MODES, NamingRules } from '../src/index.js';
+import { ISSUE_TYPES } from '../src/generators/reportGenerator.js';
+
+const USAGE = `Usage: psd-to-elementor convert <input.psd|glob...> [options]
+
+Options:
+  -o, --output <file>  Output file (single input only)
+  --out-dir <dir>      Output directory (default: next to each input)
+  --smart              Use smart detection for ungrouped/unnamed layers
+  --pretty             Indent the JSON output
+  --assets             Export layer images as PNG into <out>/assets/<name>/
+  --layout <mode>      "containers" (default) or "sections" for sites without Flexbox Containers
+  --globals            Use kit colors/typography, written to <name>_site-settings.json
+  --rules <file>       Naming rules file (JSON or YAML) mapping layer names to widgets
+  --report             Write the conversion report as <name>_report.json and .html
+  --verbose            Show the converter's debug logging
+  -h, --help           Show this help`;
+
+const log = console.log.bind(console);
+
+main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+);
+
+/**
+ * Run the CLI
+ * @param {Array} argv - Arguments after the node binary and script
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    const [command, ...rest] = argv;
+
+    if (!command || command === '-h' || command === '--help') {
+        log(USAGE);
+        return command ? 0 : 1;
+    }
+
+    if (command !== 'convert') {
+        console.error(`Unknown command "${command}"\n\n${USAGE}`);
+        return 1;
+    }
+
+    const options = parseArgs(rest);
+    if (options.help) {
+        log(USAGE);
+        return 0;
+    }
+
+    // Parsed once, shared by every input
+    const namingRules = options.rules
+        ? new NamingRules(await NamingRules.parse(await fs.readFile(options.rules, 'utf8'), options.rules))
+        : null;
+
+    const inputs = await expandInputs(options.inputs);
+    if (inputs.length === 0) {
+        console.error('No PSD files matched the given inputs');
+        return 1;
+    }
+
+    if (options.output && inputs.length > 1) {
+        console.error('--output can only be used with a single input, use --out-dir instead');
+        return 1;
+    }
+
+    let failed = 0;
+    for (const input of inputs) {
+        try {
+            const result = await convertFile(input, options, namingRules);
+            log(`✔ ${input} → ${result.output} (${result.assets} assets)`);
+            logFonts(result.report.fonts);
+            logIssues(result.report, options.report);
+        } catch (error) {
+            failed++;
+            console.error(`✖ ${input}: ${error.message}`);
+        }
+    }
+
+    return failed > 0 ? 1 : 0;
+}
+
+/**
+ * Parse command options
+ */
+function parseArgs(args) {
+    const options = {
+        inputs: [],
+        output: null,
+        outDir: null,
+        smart: false,
+        pretty: false,
+        assets: false,
+        layout: 'containers',
+        globals: false,
+        rules: null,
+        report: false,
+        verbose: false,
+        help: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+        const takeValue = () => {
+            const value = inlineValue ?? args[++i];
+            if (!value) throw new Error(`${flag} expects a value`);
+            return value;
+        };
+
+        switch (flag) {
+            case '-o':
+            case '--output':
+                options.output = takeValue();
+                break;
+            case '--out-dir':
+                options.outDir = takeValue();
+                break;
+            case '--smart':
+                options.smart = true;
+                break;
+            case '--pretty':
+                options.pretty = true;
+                break;
+            case '--assets':
+                options.assets = true;
+                break;
+            case '--layout':
+                options.layout = takeValue();
+                if (!LAYOUT_MODES.includes(options.layout)) {
+                    throw new Error(`--layout must be one of: ${LAYOUT_MODES.join(', ')}`);
+                }
+                break;
+            case '--globals':
+                options.globals = true;
+                break;
+            case '--rules':
+                options.rules = takeValue();
+                break;
+            case '--report':
+                options.report = true;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option "${arg}"\n\n${USAGE}`);
+                options.inputs.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Convert one PSD and write its template (and images)
+ * @returns {Promise<{output: string, assets: number, report: Object}>}
+ */
+async function convertFile(input, options, namingRules) {
+    const name = path.basename(input).replace(/\.psd$/i, '');
+    const outDir = path.resolve(options.outDir || path.dirname(input));
+    const output = options.output
+        ? path.resolve(options.output)
+        : path.join(outDir, `${name}_elementor.json`);
+
+    const { template, report, assets, siteSettings } = await convert(await fs.readFile(input), {
+        fileName: name,
+        smartDetection: options.smart,
+        exportImages: options.assets,
+        imageFormat: 'png',
+        assetBaseUrl: `assets/${name}/`,
+        layout: options.layout,
+        globals: options.globals,
+        namingRules,
+        logger: options.verbose ? console : null
+    });
+
+    await fs.mkdir(path.dirname(output), { recursive: true });
+    await fs.writeFile(output, JSON.stringify(template, null, options.pretty ? 2 : 0));
+
+    // Kit globals the template refers to, imported through Elementor's kit import
+    if (siteSettings) {
+        const settingsFile = output.replace(/(_elementor)?\.json$/i, '') + '_site-settings.json';
+        await fs.writeFile(settingsFile, JSON.stringify(siteSettings, null, options.pretty ? 2 : 0));
+    }
+
+    // Images sit next to the template so the relative URLs resolve
+    if (assets.length > 0) {
+        const assetDir = path.join(path.dirname(output), 'assets', name);
+        await fs.mkdir(assetDir, { recursive: true });
+
+        for (const asset of assets) {
+            await fs.writeFile(path.join(assetDir, asset.fileName), new Uint8Array(await asset.blob.arrayBuffer()));
+        }
+    }
+
+    if (options.report) {
+        const reportFile = output.replace(/(_elementor)?\.json$/i, '') + '_report';
+        await fs.writeFile(`${reportFile}.json`, JSON.stringify(report, null, 2));
+        await fs.writeFile(`${reportFile}.html`, createReportHtml(report));
+    }
+
+    return { output, assets: assets.length, report };
+}
+
+/**
+ * Warn about fonts that were replaced or can't be loaded from Google Fonts
+ */
+function logFonts(fonts) {
+    for (const font of fonts) {
+        if (font.substituted) {
+            log(`  ⚠ ${font.postScriptName} → ${font.webFont.family} ${font.webFont.weight}`);
+        } else if (font.source === 'missing') {
+            log(`  ⚠ ${font.postScriptName} is not on Google Fonts, install "${font.family}" on the site`);
+        }
+    }
+}
+
+/**
+ * Count the report issues per type, font issues are listed by logFonts()
+ */
+function logIssues(report, written) {
+    const counts = Object.entries(report.summary)
+        .filter(([type]) => type !== 'font')
+        .map(([type, count]) => `${ISSUE_TYPES[type]}: ${count}`);
+
+    if (counts.length > 0) {
+        log(`  ⚠ ${counts.join(', ')}${written ? '' : ' (--report for details)'}`);
+    }
+}
+
+/**
+ * Resolve input paths, expanding globs the shell left quoted
+ * @param {Array} patterns - Paths or glob patterns
+ * @returns {Promise<Array>} Absolute file paths
+ */
+async function expandInputs(patterns) {
+    const files = new Set();
+
+    for (const pattern of patterns) {
+        if (!/[*?[]/.test(pattern)) {
+            files.add(path.resolve(pattern));
+            continue;
+        }
+
+        for (const file of await matchGlob(pattern)) {
+            files.add(file);
+        }
+    }
+
+    return [...files];
+}
+
+/**
+ * Match a glob (*, ?, [abc], **) against the files under its static base directory
+ */
+async function matchGlob(pattern) {
+    const segments = pattern.split(path.sep).join('/').split('/');
+    const firstGlob = segments.findIndex(segment => /[*?[]/.test(segment));
+    const base = firstGlob === 0 ? '.' : segments.slice(0, firstGlob).join('/') || '/';
+    const regex = globToRegExp(segments.slice(firstGlob).join('/'));
+
+    let entries;
+    try {
+        entries = await fs.readdir(base, { recursive: true, withFileTypes: true });
+    } catch {
+        return [];
+    }
+
+    return entries
+        .filter(entry => entry.isFile())
+        .map(entry => path.join(entry.parentPath ?? entry.path, entry.name))
+        .filter(file => regex.test(path.relative(base, file).split(path.sep).join('/')))
+        .map(file => path.resolve(file))
+        .sort();
+}
+
+function globToRegExp(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" matches zero or more directories
+            i++;
+            if (glob[i + 1] === '/') {
+                i++;
+                source += '(?:.*/)?';
+            } else {
+                source += '.*';
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[' && glob.indexOf(']', i) > i) {
+            const end = glob.indexOf(']', i);
+            source += glob.slice(i, end + 1);
+            i = end;
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
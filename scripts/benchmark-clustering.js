@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Clustering Benchmark
+ * Times SpatialClusteringHelper.clusterByProximity on synthetic flat layer sets,
+ * and checks it clusters them exactly like the previous O(n²) implementation
+ * (same clusters, same layer order; exits with 1 when they differ)
+ *
+ * USAGE:
+ *   node scripts/benchmark-clustering.js [sizes...]   (default: 100 1000 10000)
+ */
+
+import { SpatialClusteringHelper } from '../src/helpers/SpatialClusteringHelper.js';
+
+const DEFAULT_SIZES = [100, 1000, 10000];
+const CANVAS_WIDTH = 1440;
+const RUNS = 20;
+
+// Default threshold and the smaller one RawPSDAdapter sub-clusters with
+const THRESHOLDS = [SpatialClusteringHelper.DEFAULT_THRESHOLD, SpatialClusteringHelper.DEFAULT_THRESHOLD * 0.6];
+
+const sizes = process.argv.slice(2).map(Number).filter(size => size > 0);
+
+for (const size of sizes.length > 0 ? sizes : DEFAULT_SIZES) {
+    const layers = createLayers(size);
+    const runs = size >= 10000 ? 1 : RUNS;
+
+    // Warm-up, so the timings don't include JIT compilation
+    let clusters;
+    for (let i = 0; i < runs; i++) {
+        clusters = SpatialClusteringHelper.clusterByProximity(layers);
+    }
+
+    const start = performance.now();
+    for (let i = 0; i < runs; i++) {
+        clusters = SpatialClusteringHelper.clusterByProximity(layers);
+    }
+    const elapsed = (performance.now() - start) / runs;
+
+    // Timed the same way (warm-up, average) so both numbers compare
+    let baseline;
+    for (let i = 0; i < runs; i++) {
+        baseline = clusterByProximityBaseline(layers);
+    }
+
+    const baselineStart = performance.now();
+    for (let i = 0; i < runs; i++) {
+        baseline = clusterByProximityBaseline(layers);
+    }
+    const baselineElapsed = (performance.now() - baselineStart) / runs;
+
+    console.log(`${String(size).padStart(6)} layers: ${elapsed.toFixed(2).padStart(9)} ms  (${clusters.length} clusters, avg of ${runs})` +
+        `  previous: ${baselineElapsed.toFixed(2).padStart(9)} ms`);
+
+    for (const threshold of THRESHOLDS) {
+        const actual = threshold === SpatialClusteringHelper.DEFAULT_THRESHOLD
+            ? clusters
+            : SpatialClusteringHelper.clusterByProximity(layers, threshold);
+        const expected = threshold === SpatialClusteringHelper.DEFAULT_THRESHOLD
+            ? baseline
+            : clusterByProximityBaseline(layers, threshold);
+
+        const mismatch = compareClusters(actual, expected);
+        console.log(`${' '.repeat(14)}threshold ${threshold}: ${mismatch ? `DIFFERENT - ${mismatch}` : 'identical to previous'}`);
+        if (mismatch) process.exitCode = 1;
+    }
+}
+
+/**
+ * Describe the first difference between two clusterings
+ * @returns {string|null} null when both have the same clusters with the same layer order
+ */
+function compareClusters(actual, expected) {
+    if (actual.length !== expected.length) {
+        return `${actual.length} clusters instead of ${expected.length}`;
+    }
+
+    for (let i = 0; i < expected.length; i++) {
+        const actualIds = actual[i].map(layer => layer.id).join(',');
+        const expectedIds = expected[i].map(layer => layer.id).join(',');
+        if (actualIds !== expectedIds) {
+            return `cluster ${i} is [${actualIds}] instead of [${expectedIds}]`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * clusterByProximity before the spatial index: every layer is compared with every other one
+ * Kept verbatim (inlined) as the reference the indexed version must match
+ */
+function clusterByProximityBaseline(layers, threshold = SpatialClusteringHelper.DEFAULT_THRESHOLD) {
+    if (!layers || layers.length === 0) return [];
+    if (layers.length === 1) return [layers];
+
+    const visited = new Set();
+    const clusters = [];
+
+    const getMinDistance = (boundsA, boundsB) => {
+        const hGap = Math.max(0, Math.max(boundsA.left, boundsB.left) - Math.min(boundsA.right, boundsB.right));
+        const vGap = Math.max(0, Math.max(boundsA.top, boundsB.top) - Math.min(boundsA.bottom, boundsB.bottom));
+        return Math.sqrt(hGap * hGap + vGap * vGap);
+    };
+
+    const findNeighbors = (layer) => layers.filter(other => {
+        if (other.id === layer.id) return false;
+        return getMinDistance(layer.bounds, other.bounds) <= threshold;
+    });
+
+    for (const layer of layers) {
+        if (visited.has(layer.id)) continue;
+
+        const cluster = [layer];
+        visited.add(layer.id);
+
+        const queue = [layer];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            for (const neighbor of findNeighbors(current)) {
+                if (!visited.has(neighbor.id)) {
+                    visited.add(neighbor.id);
+                    cluster.push(neighbor);
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        if (cluster.length > 0) {
+            clusters.push(cluster);
+        }
+    }
+
+    return clusters;
+}
+
+/**
+ * Build a landing page like set of layers: sections stacked vertically,
+ * each with a few cards of text/image leaves, plus full-width backgrounds
+ */
+function createLayers(count) {
+    const random = createRandom(count);
+    const layers = [];
+    let top = 0;
+
+    while (layers.length < count) {
+        const cards = 1 + Math.floor(random() * 4);
+        const cardWidth = Math.floor((CANVAS_WIDTH - 120) / cards) - 40;
+        let sectionHeight = 0;
+
+        if (random() < 0.3) {
+            layers.push(createLayer(layers.length, 0, top, CANVAS_WIDTH, 400));
+        }
+
+        for (let card = 0; card < cards && layers.length < count; card++) {
+            const left = 60 + card * (cardWidth + 40);
+            let y = top + 40;
+
+            const leaves = 2 + Math.floor(random() * 6);
+            for (let leaf = 0; leaf < leaves && layers.length < count; leaf++) {
+                const height = 16 + Math.floor(random() * 120);
+                const width = Math.max(20, Math.floor(cardWidth * (0.4 + random() * 0.6)));
+                layers.push(createLayer(layers.length, left, y, width, height));
+                y += height + 4 + Math.floor(random() * 30);
+            }
+
+            sectionHeight = Math.max(sectionHeight, y - top);
+        }
+
+        top += sectionHeight + 60 + Math.floor(random() * 80);
+    }
+
+    return layers;
+}
+
+function createLayer(index, left, top, width, height) {
+    return {
+        id: `layer-${index}`,
+        name: `Layer ${index}`,
+        bounds: { top, left, right: left + width, bottom: top + height, width, height }
+    };
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so every run clusters the same layers
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -6,6 +6,8 @@
 
 import { SpatialClusteringHelper } from '../helpers/SpatialClusteringHelper.js';
 import { StructureInferenceEngine } from '../helpers/StructureInferenceEngine.js';
+import { BackgroundDetectionHelper } from '../helpers/BackgroundDetectionHelper.js';
+import { Logger } from '../helpers/Logger.js';
 import { generateId } from '../parsers/psdParser.js';
 
 export class RawPSDAdapter {
@@ -40,17 +42,20 @@ export class RawPSDAdapter {
             return [];
         }
 
-        // Step 3: Cluster by spatial proximity
+        // Step 3: Pull out layers that sit behind other layers (section/card backgrounds)
+        const { backgrounds, content } = BackgroundDetectionHelper.extractFromFlatLayers(validLayers);
+
+        // Step 4: Cluster by spatial proximity
         const clusters = SpatialClusteringHelper.clusterByProximity(
-            validLayers,
+            content,
             this.CONFIG.PROXIMITY_THRESHOLD
         );
 
-        // Step 4: Detect container boundaries (rows/columns)
+        // Step 5: Detect container boundaries (rows/columns)
         const rows = SpatialClusteringHelper.detectContainerBoundaries(clusters, canvasWidth);
 
-        // Step 5: Build classified tree
-        const classifiedTree = this.buildTree(rows, canvasWidth);
+        // Step 6: Build classified tree
+        const classifiedTree = this.buildTree(rows, canvasWidth, backgrounds);
 
         return classifiedTree;
     }
@@ -97,10 +102,11 @@ export class RawPSDAdapter {
      * Build classified tree from row structure
      * @param {Array} rows - Array of rows, each row contains clusters
      * @param {number} canvasWidth - Canvas width for layout calculations
+     * @param {Array} backgrounds - Background layers to attach to containers
      * @returns {Array} Classified layer tree
      */
-    static buildTree(rows, canvasWidth) {
-        const result = [];
+    static buildTree(rows, canvasWidth, backgrounds = []) {
+        let result = [];
 
         for (const row of rows) {
             if (row.length === 0) continue;
@@ -118,6 +124,14 @@ export class RawPSDAdapter {
             result.push(rowContainer);
         }
 
+        // Largest backgrounds first so nested ones land inside the wrapped sections
+        const sortedBackgrounds = [...backgrounds].sort((a, b) =>
+            (b.bounds.width * b.bounds.height) - (a.bounds.width * a.bounds.height)
+        );
+        for (const background of sortedBackgrounds) {
+            result = this.attachBackground(result, background);
+        }
+
         // If there's only one top-level element and it's a container, return its contents
         // Otherwise, wrap everything in a root container
         if (result.length === 0) {
@@ -132,6 +146,67 @@ export class RawPSDAdapter {
         return [this.createColumnContainer(result)];
     }
 
+    /**
+     * Attach a background layer to the elements it covers
+     * A single covered container takes the background directly, several covered
+     * elements are wrapped in a new section container that carries it
+     * @param {Array} elements - Sibling elements
+     * @param {Object} layer - Background layer
+     * @returns {Array} Updated sibling elements
+     */
+    static attachBackground(elements, layer) {
+        const covered = elements.filter(e =>
+            BackgroundDetectionHelper.contains(layer.bounds, e.bounds)
+        );
+
+        if (covered.length === 0) {
+            // Look for the covered elements deeper in the tree
+            for (const element of elements) {
+                if (element.widgetType !== 'container' || !element.children?.length) continue;
+                if (!this.coversDescendant(layer, element)) continue;
+
+                element.children = this.attachBackground(element.children, layer);
+                return elements;
+            }
+
+            // Nothing to sit behind - keep it as a regular widget
+            const inference = StructureInferenceEngine.inferWidgetType([layer]);
+            return [this.buildWidgetFromLayer(layer, inference), ...elements];
+        }
+
+        const background = BackgroundDetectionHelper.toBackground(layer);
+        const single = covered.length === 1 ? covered[0] : null;
+
+        if (single && single.widgetType === 'container' && !single.isComposite && !single.background) {
+            single.background = background;
+            single.bounds = layer.bounds;
+            return elements;
+        }
+
+        const section = this.createColumnContainer(covered);
+        section.name = 'Section';
+        section.reason = `background "${layer.name}" behind ${covered.length === 1 ? 'one element' : `${covered.length} elements`}`;
+        section.background = background;
+        section.bounds = layer.bounds;
+
+        const index = elements.indexOf(covered[0]);
+        const remaining = elements.filter(e => !covered.includes(e));
+        remaining.splice(index, 0, section);
+
+        return remaining;
+    }
+
+    /**
+     * Check if a background layer covers any descendant of an element
+     * @private
+     */
+    static coversDescendant(layer, element) {
+        return (element.children || []).some(child =>
+            BackgroundDetectionHelper.contains(layer.bounds, child.bounds) ||
+            this.coversDescendant(layer, child)
+        );
+    }
+
     /**
      * Process a single cluster into a classified element
      * @private
@@ -192,6 +267,7 @@ export class RawPSDAdapter {
             children: [],
             isSmartDetected: true,
             confidence: inference.confidence,
+            reason: inference.reason,
             badgeClass: this.getBadgeClass(inference.widgetType)
         };
 
@@ -205,6 +281,17 @@ export class RawPSDAdapter {
             widget.hasImage = true;
         }
 
+        // Copy exported bitmap reference
+        if (layer.imageAsset) {
+            widget.imageAsset = layer.imageAsset;
+        }
+
+        // Copy fill and stroke, the color and style of the line
+        if (inference.widgetType === 'divider') {
+            widget.fill = layer.fill;
+            widget.style = layer.style;
+        }
+
         return widget;
     }
 
@@ -214,7 +301,7 @@ export class RawPSDAdapter {
      */
     static createRowContainer(clusters) {
         const allLayers = clusters.flat();
-        console.log("All Layers [createRowContainer]: ", allLayers);
+        Logger.debug("All Layers [createRowContainer]: ", allLayers);
         const bounds = SpatialClusteringHelper.calculateClusterBounds(allLayers);
 
         // Check for repeating pattern (cards)
@@ -229,6 +316,10 @@ export class RawPSDAdapter {
             bounds: bounds,
             children: clusters.map(cluster => this.processCluster(cluster)),
             isSmartDetected: true,
+            confidence: 0.8,
+            reason: pattern.isRepeating
+                ? `${pattern.count} similar clusters side by side`
+                : `${clusters.length} clusters side by side`,
             badgeClass: 'container',
             layout: {
                 direction: 'row',
@@ -271,6 +362,8 @@ export class RawPSDAdapter {
             bounds: bounds,
             children: elements,
             isSmartDetected: true,
+            confidence: 0.8,
+            reason: `${elements.length} rows stacked vertically`,
             badgeClass: 'container',
             layout: {
                 direction: 'column',
@@ -294,7 +387,9 @@ export class RawPSDAdapter {
             'image': 'image',
             'image-box': 'image-box',
             'icon-box': 'icon-box',
-            'icon-list': 'icon-list'
+            'icon-list': 'icon-list',
+            'divider': 'divider',
+            'spacer': 'spacer'
         };
         return classes[widgetType] || 'container';
     }
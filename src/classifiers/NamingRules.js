@@ -0,0 +1,220 @@
+/**
+ * Naming Rules
+ * Layer name patterns that map layers to widget types (and image-box contents to their role)
+ *
+ * RULES FILE (JSON or YAML):
+ *   replaceDefaults: false        # true drops the built-in rules
+ *   rules:                        # pattern -> widget
+ *     - id: kop
+ *       pattern: "^kop[-_]?"      # case-insensitive regular expression
+ *       widget: heading
+ *       options: { headingLevel: 2, overrides: { alignment: left } }
+ *     - id: knop
+ *       pattern: "^knop[-_]?"
+ *       widget: button
+ *       before: heading           # or after: <id>
+ *     - id: text                  # built-in id: overrides that rule in place
+ *       pattern: "^(tekst|text)[-_]?"
+ *     - id: container
+ *       disabled: true
+ *   order: [knop, button, kop]    # these rules first, in this order
+ *   imageBox:                     # pattern -> role (image, heading, description) inside image boxes
+ *     - id: heading
+ *       pattern: "^(kop|titel|heading|title)[-_]?"
+ *
+ * New rules without before/after are checked before the built-in ones.
+ */
+
+/**
+ * Built-in widget rules, first match wins
+ */
+export const DEFAULT_WIDGET_RULES = [
+    { id: 'button', pattern: '^(btn|button|cta|action)[-_]?', widget: 'button' },
+    { id: 'heading', pattern: '^(heading|title|h1|h2|h3|h4|h5|h6|headline|header)[-_]?', widget: 'heading' },
+    { id: 'icon-box', pattern: '^(icon[-_]?box|feature[-_]?box|service)[-_]?', widget: 'icon-box' },
+    { id: 'image-box', pattern: '^(image[-_]?box|card|product|item|blog[-_]?post)[-_]?', widget: 'image-box' },
+    { id: 'icon-list', pattern: '^(icon[-_]?list|list|menu|nav|features|bullets)[-_]?', widget: 'icon-list' },
+    { id: 'divider', pattern: '^(divider|separator|hr)[-_]?', widget: 'divider' },
+    { id: 'spacer', pattern: '^(spacer)[-_]?', widget: 'spacer' },
+    { id: 'text', pattern: '^(text|paragraph|desc|description|body|content|p)[-_]?', widget: 'text-editor' },
+    { id: 'image', pattern: '^(img|image|photo|picture|pic|banner|hero)[-_]?', widget: 'image' },
+    { id: 'container', pattern: '^(container|section|row|wrapper|box|group|block)[-_]?', widget: 'container' }
+];
+
+/**
+ * Built-in image-box content rules
+ */
+export const DEFAULT_CONTENT_RULES = [
+    { id: 'heading', pattern: '^(heading|title|h1|h2|h3|h4|h5|h6|headline|header|name)[-_]?', role: 'heading' },
+    { id: 'description', pattern: '^(desc|description|text|paragraph|body|content|subtitle|sub[-_]?title|info)[-_]?', role: 'description' },
+    { id: 'image', pattern: '^(img|image|photo|picture|pic|icon|logo|thumb|thumbnail)[-_]?', role: 'image' }
+];
+
+export class NamingRules {
+
+    static WIDGET_TYPES = ['container', 'heading', 'text-editor', 'button', 'image', 'image-box', 'icon-box', 'icon-list', 'divider', 'spacer'];
+    static CONTENT_ROLES = ['image', 'heading', 'description'];
+
+    static #active = null;
+
+    /**
+     * Compile a rules configuration on top of the built-in rules
+     * @param {Object} config - Parsed rules file (see module doc), empty for the built-in rules
+     * @throws {Error} When a rule is invalid
+     */
+    constructor(config = {}) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error('Naming rules must be an object with a "rules" list');
+        }
+
+        this.config = config;
+        this.widgetRules = NamingRules.#merge(DEFAULT_WIDGET_RULES, config.rules, config, 'widget');
+        this.contentRules = NamingRules.#merge(DEFAULT_CONTENT_RULES, config.imageBox, config, 'role');
+    }
+
+    /**
+     * Parse a rules file
+     * @param {string} text - File content
+     * @param {string} fileName - File name, ".yml"/".yaml" is read as YAML
+     * @returns {Promise<Object>} Rules configuration
+     * @throws {Error} When the file can't be parsed
+     */
+    static async parse(text, fileName = '') {
+        const isYaml = /\.ya?ml$/i.test(fileName) || !/^\s*[{[]/.test(text);
+
+        try {
+            // The YAML parser is only loaded when a YAML file is used
+            const config = isYaml ? (await import('yaml')).parse(text) : JSON.parse(text);
+            return config ?? {};
+        } catch (error) {
+            throw new Error(`Invalid naming rules file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rules used when the classifiers aren't given any
+     * @returns {NamingRules}
+     */
+    static getActive() {
+        this.#active ??= new NamingRules();
+        return this.#active;
+    }
+
+    /**
+     * Replace the active rules
+     * @param {NamingRules|null} rules - null restores the built-in rules
+     */
+    static setActive(rules) {
+        this.#active = rules;
+    }
+
+    /**
+     * First widget rule matching a layer name
+     * @param {string} name - Layer name
+     * @returns {Object|null} Rule {id, pattern, widget, options, source: 'default'|'custom'}
+     */
+    matchWidget(name) {
+        return this.widgetRules.find(rule => rule.regex.test(name || '')) || null;
+    }
+
+    /**
+     * Whether an image-box content rule of a role matches a layer name
+     * @param {string} name - Layer name
+     * @param {string} role - 'image' | 'heading' | 'description'
+     * @returns {boolean}
+     */
+    matchesContent(name, role) {
+        return this.contentRules.some(rule => rule.role === role && rule.regex.test(name || ''));
+    }
+
+    /**
+     * Merge custom rules into the built-in list, then compile them
+     * @param {string} target - Rule property holding the result ('widget' or 'role')
+     */
+    static #merge(defaults, custom = [], config, target) {
+        if (!Array.isArray(custom)) {
+            throw new Error(`Naming rules: "${target === 'widget' ? 'rules' : 'imageBox'}" must be a list`);
+        }
+
+        let rules = config.replaceDefaults ? [] : defaults.map(rule => ({ ...rule, options: {}, source: 'default', builtIn: true }));
+
+        custom.forEach((entry, index) => {
+            if (!entry || typeof entry !== 'object') {
+                throw new Error(`Naming rule ${index + 1} must be an object`);
+            }
+
+            const id = String(entry.id ?? `rule-${index + 1}`);
+            const existing = rules.find(rule => rule.id === id);
+            const rule = existing || { id, options: {}, source: 'custom' };
+
+            Object.assign(rule, {
+                ...(entry.pattern !== undefined ? { pattern: String(entry.pattern) } : {}),
+                ...(entry[target] !== undefined ? { [target]: entry[target] } : {}),
+                options: { ...rule.options, ...(entry.options || {}) },
+                disabled: !!entry.disabled,
+                source: 'custom'
+            });
+
+            if (!existing && !entry.before && !entry.after) {
+                // After the previously added rules, before the built-in ones
+                const firstBuiltIn = rules.findIndex(other => other.builtIn);
+                rules.splice(firstBuiltIn === -1 ? rules.length : firstBuiltIn, 0, rule);
+                return;
+            }
+
+            if (entry.before || entry.after) {
+                rules = rules.filter(other => other !== rule);
+                const anchor = rules.findIndex(other => other.id === String(entry.before || entry.after));
+                if (anchor === -1) {
+                    throw new Error(`Naming rule "${id}": no rule "${entry.before || entry.after}" to place it next to`);
+                }
+                rules.splice(entry.before ? anchor : anchor + 1, 0, rule);
+            }
+        });
+
+        // Explicit order: listed rules first, the others keep their position
+        if (Array.isArray(config.order) && target === 'widget') {
+            const rank = id => {
+                const index = config.order.indexOf(id);
+                return index === -1 ? config.order.length : index;
+            };
+            rules = rules
+                .map((rule, index) => ({ rule, index }))
+                .sort((a, b) => rank(a.rule.id) - rank(b.rule.id) || a.index - b.index)
+                .map(({ rule }) => rule);
+        }
+
+        return rules
+            .filter(rule => !rule.disabled)
+            .map(rule => this.#compile(rule, target));
+    }
+
+    /**
+     * Validate a rule and compile its pattern
+     */
+    static #compile(rule, target) {
+        const allowed = target === 'widget' ? this.WIDGET_TYPES : this.CONTENT_ROLES;
+
+        if (!rule.pattern) {
+            throw new Error(`Naming rule "${rule.id}": missing pattern`);
+        }
+        if (!allowed.includes(rule[target])) {
+            throw new Error(`Naming rule "${rule.id}": ${target} must be one of ${allowed.join(', ')}`);
+        }
+
+        const level = rule.options.headingLevel;
+        if (level !== undefined && !(Number.isInteger(level) && level >= 1 && level <= 6)) {
+            throw new Error(`Naming rule "${rule.id}": headingLevel must be 1-6`);
+        }
+
+        let regex;
+        try {
+            regex = new RegExp(rule.pattern, 'i');
+        } catch (error) {
+            throw new Error(`Naming rule "${rule.id}": invalid pattern (${error.message})`);
+        }
+
+        const { disabled, builtIn, ...compiled } = rule;
+        return { ...compiled, regex };
+    }
+}
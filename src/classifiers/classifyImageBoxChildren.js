@@ -1,16 +1,15 @@
-import TextStyleExtractor from '../helpers/TextStyleExtractor';
+import TextStyleExtractor from '../helpers/TextStyleExtractor.js';
+import { NamingRules } from './NamingRules.js';
 
 export default class ImageBoxContentClassifier {
-    static NAME_PATTERNS = {
-        heading: /^(heading|title|h1|h2|h3|h4|h5|h6|headline|header|name)[-_]?/i,
-        description: /^(desc|description|text|paragraph|body|content|subtitle|sub[-_]?title|info)[-_]?/i,
-        image: /^(img|image|photo|picture|pic|icon|logo|thumb|thumbnail)[-_]?/i
-    };
-
+    /**
+     * @param {Object} options - Thresholds, and naming rules (default: NamingRules.getActive() at classification time)
+     */
     constructor(options = {}) {
         this.thresholds = {
             headingFontSize: options.headingFontSize ?? 18
         };
+        this.namingRules = options.namingRules ?? null;
     }
 
     classify(children = []) {
@@ -20,6 +19,9 @@ export default class ImageBoxContentClassifier {
         const textLayers = [];
 
         for (const child of children) {
+            // A rule between the title and the text isn't the box image
+            if (child.widgetType === 'divider' || child.widgetType === 'spacer') continue;
+
             if (child.type === 'image' || child.hasImage) {
                 imageLayers.push(child);
             }
@@ -50,7 +52,7 @@ export default class ImageBoxContentClassifier {
 
         return (
             imageLayers.find(l =>
-                ImageBoxContentClassifier.NAME_PATTERNS.image.test(l.name)
+                this.#matches(l.name, 'image')
             ) || imageLayers[0]
         );
     }
@@ -60,7 +62,7 @@ export default class ImageBoxContentClassifier {
 
         if (
             fontSize >= this.thresholds.headingFontSize ||
-            ImageBoxContentClassifier.NAME_PATTERNS.heading.test(layer.name)
+            this.#matches(layer.name, 'heading')
         ) {
             result.heading = layer;
         } else {
@@ -91,15 +93,15 @@ export default class ImageBoxContentClassifier {
 
         let score = 0;
 
-        if (ImageBoxContentClassifier.NAME_PATTERNS.heading.test(name)) score += 50;
-        if (ImageBoxContentClassifier.NAME_PATTERNS.description.test(name)) score -= 50;
+        if (this.#matches(name, 'heading')) score += 50;
+        if (this.#matches(name, 'description')) score -= 50;
 
         if (fontSize >= 24) score += 30;
         else if (fontSize >= 20) score += 20;
         else if (fontSize >= 18) score += 10;
         else if (fontSize <= 14) score -= 20;
 
-        if (fontWeight === 'bold') score += 15;
+        if (fontWeight >= 600) score += 15;
 
         if (text.length <= 50) score += 10;
         else if (text.length > 100) score -= 15;
@@ -114,4 +116,8 @@ export default class ImageBoxContentClassifier {
             top: layer.bounds?.top ?? 0
         };
     }
+
+    #matches(name, role) {
+        return (this.namingRules || NamingRules.getActive()).matchesContent(name, role);
+    }
 }
@@ -4,20 +4,19 @@
  */
 
 import { RawPSDAdapter } from '../adapters/RawPSDAdapter.js';
+import { BackgroundDetectionHelper } from '../helpers/BackgroundDetectionHelper.js';
+import { StructureInferenceEngine } from '../helpers/StructureInferenceEngine.js';
+import { Logger } from '../helpers/Logger.js';
+import { NamingRules } from './NamingRules.js';
 
 const COMPOSITE_WIDGETS = ['image-box', 'icon-box', 'icon-list'];
 
-// Widget type patterns based on layer naming conventions
-const PATTERNS = {
-    heading: /^(heading|title|h1|h2|h3|h4|h5|h6|headline|header)[-_]?/i,
-    button: /^(btn|button|cta|action)[-_]?/i,
-    image: /^(img|image|photo|picture|pic|banner|hero)[-_]?/i,
-    text: /^(text|paragraph|desc|description|body|content|p)[-_]?/i,
-    iconBox: /^(icon[-_]?box|feature[-_]?box|service)[-_]?/i,
-    imageBox: /^(image[-_]?box|card|product|item|blog[-_]?post)[-_]?/i,
-    iconList: /^(icon[-_]?list|list|menu|nav|features|bullets)[-_]?/i,
-    container: /^(container|section|row|wrapper|box|group|block)[-_]?/i
-};
+const { THRESHOLDS } = StructureInferenceEngine;
+
+/**
+ * Classifications below this confidence are highlighted for review
+ */
+export const LOW_CONFIDENCE = 0.6;
 
 // Badge class mapping for UI
 const BADGE_CLASSES = {
@@ -28,7 +27,23 @@ const BADGE_CLASSES = {
     image: 'image',
     'image-box': 'image-box',
     'icon-box': 'icon-box',
-    'icon-list': 'icon-list'
+    'icon-list': 'icon-list',
+    divider: 'divider',
+    spacer: 'spacer'
+};
+
+// Display names for the UI
+const WIDGET_NAMES = {
+    'container': 'Container',
+    'heading': 'Heading',
+    'text-editor': 'Text',
+    'button': 'Button',
+    'image': 'Image',
+    'image-box': 'Image Box',
+    'icon-box': 'Icon Box',
+    'icon-list': 'Icon List',
+    'divider': 'Divider',
+    'spacer': 'Spacer'
 };
 
 /**
@@ -37,29 +52,41 @@ const BADGE_CLASSES = {
  * @param {Object} options - Classification options
  * @param {boolean} options.useSmartDetection - Use spatial clustering for ungrouped layers
  * @param {number} options.canvasWidth - PSD canvas width (required for smart detection)
+ * @param {NamingRules} options.namingRules - Layer name rules (default: NamingRules.getActive())
  * @returns {Array} Classified layers with widget types
  */
 export function classifyLayers(layers, options = {}) {
     // Use RawPSD Adapter for smart detection mode
     if (options.useSmartDetection) {
-        console.log('Smart Detection Mode: Using RawPSD Adapter');
+        Logger.debug('Smart Detection Mode: Using RawPSD Adapter');
         return RawPSDAdapter.processLayers(layers, options.canvasWidth);
     }
 
     // Default: name-based classification
-    return layers.map(layer => classifyLayer(layer));
+    const rules = options.namingRules || NamingRules.getActive();
+    return StructureInferenceEngine.insertGapSpacers(layers.map(layer => classifyLayer(layer, rules)));
 }
 
 /**
  * Classify a single layer
  * @param {Object} layer - Layer object
+ * @param {NamingRules} rules - Layer name rules
  * @returns {Object} Layer with widget type assigned
  */
-function classifyLayer(layer) {
+function classifyLayer(layer, rules) {
     const classified = { ...layer };
 
     // Classify based on layer type and name
-    classified.widgetType = determineWidgetType(layer);
+    const { widgetType, rule, reason, confidence } = determineWidgetType(layer, rules);
+    classified.widgetType = widgetType;
+    classified.namingRule = rule ? describeRule(rule) : null;
+    classified.reason = reason;
+    classified.confidence = confidence;
+
+    // Rule options: settings overrides (inspector edits still win)
+    if (rule?.options.overrides) {
+        classified.overrides = { ...rule.options.overrides, ...layer.overrides };
+    }
 
     //    console.table([
     //         {
@@ -80,78 +107,141 @@ function classifyLayer(layer) {
     classified.badgeClass = BADGE_CLASSES[classified.widgetType] || 'container';
 
     // Recursively classify children
-    if (layer.children && layer.children.length > 0 && !COMPOSITE_WIDGETS.includes(classified.widgetType)) {
+    const children = layer.children || [];
+    if (children.length > 0 && !COMPOSITE_WIDGETS.includes(classified.widgetType)) {
         // console.log("Moving to the children", classified.widgetType);
-        classified.children = layer.children.map(child => classifyLayer(child));
+        classified.children = children.map(child => classifyLayer(child, rules));
 
         // Check if this group should be a composite widget
-        const compositeType = detectCompositeWidget(classified.children);
-        if (compositeType && classified.widgetType === 'container') {
-            classified.widgetType = compositeType;
-            classified.badgeClass = BADGE_CLASSES[compositeType];
+        const composite = detectCompositeWidget(classified.children);
+        if (composite && classified.widgetType === 'container') {
+            classified.widgetType = composite.widgetType;
+            classified.badgeClass = BADGE_CLASSES[composite.widgetType];
             classified.isComposite = true;
+            classified.reason = composite.reason;
+            classified.confidence = composite.confidence;
+        }
+
+        // A full-bleed layer behind the other children becomes the background of containers,
+        // in image boxes and buttons it is the image or the button shape
+        if (classified.widgetType === 'container') {
+            attachBackground(classified);
         }
     }
 
     return classified;
 }
 
+/**
+ * Move a full-bleed layer behind the other children to the container background
+ * @param {Object} classified - Classified group with classified children
+ */
+function attachBackground(classified) {
+    const detected = BackgroundDetectionHelper.detect(classified.children, classified.bounds);
+    if (detected.background) {
+        classified.background = detected.background;
+        classified.children = detected.children;
+    }
+}
+
 /**
  * Determine widget type for a layer
+ * @returns {{widgetType: string, rule: Object|null, reason: string, confidence: number}}
+ *   Widget type, the naming rule that set it and why it was chosen
  */
-function determineWidgetType(layer) {
+function determineWidgetType(layer, rules) {
     const name = layer.name.toLowerCase();
 
     // Check name patterns first (explicit naming)
-    if (PATTERNS.button.test(name)) return 'button';
-    if (PATTERNS.heading.test(name)) return 'heading';
-    if (PATTERNS.iconBox.test(name)) return 'icon-box';
-    if (PATTERNS.imageBox.test(name)) return 'image-box';
-    if (PATTERNS.iconList.test(name)) return 'icon-list';
-    if (PATTERNS.text.test(name)) return 'text-editor';
-    if (PATTERNS.image.test(name)) return 'image';
-    if (PATTERNS.container.test(name)) return 'container';
-
-    // Infer from layer type
+    const rule = rules.matchWidget(name);
+    if (rule) {
+        return {
+            widgetType: rule.widget,
+            rule,
+            reason: `matched naming rule "${rule.id}" /${rule.pattern}/`,
+            confidence: 1
+        };
+    }
+
+    return { ...inferWidgetType(layer, name), rule: null };
+}
+
+/**
+ * Infer the widget type from the layer type and content
+ * @returns {{widgetType: string, reason: string, confidence: number}}
+ */
+function inferWidgetType(layer, name) {
     if (layer.type === 'group') {
-        return 'container';
+        return { widgetType: 'container', reason: 'group layer', confidence: 0.9 };
     }
 
     if (layer.type === 'text') {
         // Determine if heading or text based on font size
         const fontSize = layer.textInfo?.fontSize || 16;
-        if (fontSize >= 24 || isHeadingName(name)) {
-            return 'heading';
+        if (fontSize >= THRESHOLDS.HEADING_FONT_SIZE) {
+            return {
+                widgetType: 'heading',
+                reason: `font size ${fontSize} ≥ HEADING_FONT_SIZE (${THRESHOLDS.HEADING_FONT_SIZE})`,
+                confidence: 0.8
+            };
         }
-        return 'text-editor';
+
+        const keyword = findHeadingKeyword(name);
+        if (keyword) {
+            return { widgetType: 'heading', reason: `name contains "${keyword}"`, confidence: 0.7 };
+        }
+
+        return {
+            widgetType: 'text-editor',
+            reason: `font size ${fontSize} < HEADING_FONT_SIZE (${THRESHOLDS.HEADING_FONT_SIZE})`,
+            confidence: 0.8
+        };
     }
 
     if (layer.type === 'image' || layer.type === 'shape') {
+        if (StructureInferenceEngine.isDividerShape(layer)) {
+            return { widgetType: 'divider', reason: StructureInferenceEngine.describeDividerShape(layer), confidence: 0.8 };
+        }
+
+        if (layer.isTransparent) {
+            return { widgetType: 'spacer', reason: 'transparent layer', confidence: 0.6 };
+        }
+
         // Check if it looks like a button
-        if (isButtonShape(layer, name)) {
-            return 'button';
+        const button = describeButtonShape(layer, name);
+        if (button) {
+            return { widgetType: 'button', ...button };
         }
-        return 'image';
+        return { widgetType: 'image', reason: `${layer.type} layer`, confidence: layer.type === 'image' ? 0.8 : 0.7 };
     }
 
-    return 'container';
+    return { widgetType: 'container', reason: `${layer.type} layer`, confidence: 0.5 };
 }
 
 /**
- * Check if name suggests a heading
+ * Rule summary kept on the classified layer (shown in the UI, saved with projects)
  */
-function isHeadingName(name) {
+function describeRule({ id, pattern, widget, options, source }) {
+    return { id, pattern, widget, options, source };
+}
+
+/**
+ * Heading keyword in a layer name, if any
+ */
+function findHeadingKeyword(name) {
     const headingKeywords = ['title', 'heading', 'header', 'headline', 'name'];
-    return headingKeywords.some(keyword => name.includes(keyword));
+    return headingKeywords.find(keyword => name.includes(keyword)) || null;
 }
 
 /**
  * Check if layer looks like a button
+ * @returns {{reason: string, confidence: number}|null} Why it is a button, null when it isn't
  */
-function isButtonShape(layer, name) {
+function describeButtonShape(layer, name) {
     const buttonKeywords = ['btn', 'button', 'cta', 'click', 'submit', 'action'];
-    if (buttonKeywords.some(keyword => name.includes(keyword))) {
-        return true;
+    const keyword = buttonKeywords.find(keyword => name.includes(keyword));
+    if (keyword) {
+        return { reason: `name contains "${keyword}"`, confidence: 0.7 };
     }
 
     // Check aspect ratio - buttons are typically wide and short
@@ -159,23 +249,26 @@ function isButtonShape(layer, name) {
     if (width && height) {
         const ratio = width / height;
         // Button-like ratio: 2:1 to 6:1
-        if (ratio >= 2 && ratio <= 6 && height <= 80) {
-            return true;
+        if (ratio >= THRESHOLDS.BUTTON_ASPECT_MIN && ratio <= THRESHOLDS.BUTTON_ASPECT_MAX &&
+            height <= THRESHOLDS.BUTTON_MAX_HEIGHT) {
+            return { reason: StructureInferenceEngine.describeButtonShape(layer), confidence: 0.5 };
         }
     }
 
-    return false;
+    return null;
 }
 
 /**
  * Detect if children form a composite widget
+ * @returns {{widgetType: string, reason: string, confidence: number}|null}
  */
 function detectCompositeWidget(children) {
     if (!children || children.length === 0) return null;
 
     // console.log("Composite Widget [detectCompositeWidget]:", children);
 
-    const types = children.map(c => c.widgetType);
+    // Rules and gaps between the title and the text are part of cards, they don't decide the type
+    const types = children.map(c => c.widgetType).filter(t => t !== 'divider' && t !== 'spacer');
     const hasImage = types.includes('image');
     const hasHeading = types.includes('heading');
     const hasText = types.includes('text-editor');
@@ -193,38 +286,61 @@ function detectCompositeWidget(children) {
 
     // Image + Heading + optional Text = Image Box
     if (hasImage && (hasHeading || hasText)) {
-        return 'image-box';
+        return { widgetType: 'image-box', reason: `image with ${hasHeading ? 'a heading' : 'text'}`, confidence: 0.75 };
     }
 
     // Multiple text items = Icon List
     const textCount = types.filter(t => t === 'text-editor' || t === 'heading').length;
     if (textCount >= 3 && !hasImage) {
-        return 'icon-list';
+        return { widgetType: 'icon-list', reason: `${textCount} texts without an image`, confidence: 0.6 };
     }
 
     // Heading + Text without Image = Icon Box (often has icon placeholder)
     if (hasHeading && hasText && !hasImage) {
-        return 'icon-box';
+        return { widgetType: 'icon-box', reason: 'heading and text without an image', confidence: 0.7 };
     }
 
     return null;
 }
 
+/**
+ * Whether a classification should be reviewed
+ * Layers without a confidence (older projects) aren't flagged
+ * @param {Object} layer - Classified layer
+ * @returns {boolean}
+ */
+export function isLowConfidence(layer) {
+    return typeof layer.confidence === 'number' && layer.confidence < LOW_CONFIDENCE;
+}
+
 /**
  * Get display name for widget type
  */
 export function getWidgetDisplayName(widgetType) {
-    const names = {
-        'container': 'Container',
-        'heading': 'Heading',
-        'text-editor': 'Text',
-        'button': 'Button',
-        'image': 'Image',
-        'image-box': 'Image Box',
-        'icon-box': 'Icon Box',
-        'icon-list': 'Icon List'
-    };
-    return names[widgetType] || widgetType;
+    return WIDGET_NAMES[widgetType] || widgetType;
+}
+
+/**
+ * Get all widget types a layer can be converted to
+ */
+export function getWidgetTypes() {
+    return Object.keys(WIDGET_NAMES);
+}
+
+/**
+ * Change the widget type of a classified layer (manual override)
+ * Keeps badge and composite flags in sync with the new type, the naming rule no longer applies
+ * @param {Object} layer - Classified layer
+ * @param {string} widgetType - New widget type
+ */
+export function setWidgetType(layer, widgetType) {
+    layer.widgetType = widgetType;
+    layer.namingRule = null;
+    layer.reason = 'set manually';
+    layer.confidence = 1;
+    layer.badgeClass = BADGE_CLASSES[widgetType] || 'container';
+    layer.isComposite = COMPOSITE_WIDGETS.includes(widgetType) && (layer.children || []).length > 0;
+    return layer;
 }
 
 /**
@@ -239,7 +355,9 @@ export function getWidgetIcon(widgetType) {
         'image': '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="9" cy="9" r="2"/><path d="m21 15-3.086-3.086a2 2 0 0 0-2.828 0L6 21"/></svg>',
         'image-box': '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><rect x="6" y="6" width="6" height="5" rx="1"/><path d="M6 14h12"/><path d="M6 17h8"/></svg>',
         'icon-box': '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="12" cy="8" r="2"/><path d="M8 14h8"/><path d="M8 17h8"/></svg>',
-        'icon-list': '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="6" cy="6" r="2"/><path d="M10 6h10"/><circle cx="6" cy="12" r="2"/><path d="M10 12h10"/><circle cx="6" cy="18" r="2"/><path d="M10 18h10"/></svg>'
+        'icon-list': '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="6" cy="6" r="2"/><path d="M10 6h10"/><circle cx="6" cy="12" r="2"/><path d="M10 12h10"/><circle cx="6" cy="18" r="2"/><path d="M10 18h10"/></svg>',
+        'divider': '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 12h18"/><path d="M8 7h8" opacity="0.4"/><path d="M8 17h8" opacity="0.4"/></svg>',
+        'spacer': '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 3h16"/><path d="M4 21h16"/><path d="m9 8 3-3 3 3"/><path d="m9 16 3 3 3-3"/><path d="M12 5v14"/></svg>'
     };
     return icons[widgetType] || icons['container'];
 }
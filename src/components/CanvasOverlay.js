@@ -0,0 +1,168 @@
+/**
+ * Canvas Overlay Component
+ * Draws the PSD composite (or plain layer rectangles when there are no pixels)
+ * with a labeled box for every classified element
+ */
+
+import { getWidgetDisplayName } from '../classifiers/layerClassifier.js';
+import { LayerImageExporter } from '../helpers/LayerImageExporter.js';
+
+let root = null;
+let boxesLayer = null;
+let page = null;
+let onSelectLayer = null;
+let selectedId = null;
+
+/**
+ * Initialize the canvas panel for a page
+ * @param {HTMLElement} container - Panel body element
+ * @param {Object} pageData - Page {width, height, origin, layers}
+ * @param {Object|null} composite - Flattened PSD pixels {data, width, height}
+ * @param {Array} classifiedLayers - Classified layer tree
+ * @param {Function} onSelect - Called with a layer id when a box is clicked
+ */
+export function initCanvasOverlay(container, pageData, composite, classifiedLayers, onSelect) {
+    root = container;
+    page = pageData;
+    onSelectLayer = onSelect;
+    selectedId = null;
+
+    root.innerHTML = '';
+
+    const stage = document.createElement('div');
+    stage.className = 'canvas-stage';
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'canvas-stage__image';
+    canvas.width = page.width;
+    canvas.height = page.height;
+    drawBackground(canvas, composite);
+    stage.appendChild(canvas);
+
+    boxesLayer = document.createElement('div');
+    boxesLayer.className = 'canvas-stage__boxes';
+    stage.appendChild(boxesLayer);
+
+    root.appendChild(stage);
+    updateCanvasOverlay(classifiedLayers);
+}
+
+/**
+ * Redraw the element boxes after the layer tree changed
+ * @param {Array} classifiedLayers - Classified layer tree
+ */
+export function updateCanvasOverlay(classifiedLayers) {
+    if (!boxesLayer) return;
+
+    boxesLayer.innerHTML = '';
+    addBoxes(classifiedLayers || []);
+    setSelectedLayer(selectedId);
+}
+
+/**
+ * Highlight the box of a hovered tree row
+ * @param {string|null} id - Layer id, null clears the highlight
+ */
+export function highlightLayer(id) {
+    if (!boxesLayer) return;
+
+    boxesLayer.querySelectorAll('.canvas-box.highlighted').forEach(box => box.classList.remove('highlighted'));
+    if (id) {
+        boxesLayer.querySelector(`.canvas-box[data-id="${id}"]`)?.classList.add('highlighted');
+    }
+}
+
+/**
+ * Mark the box of the selected tree row
+ * @param {string|null} id - Layer id
+ */
+export function setSelectedLayer(id) {
+    selectedId = id;
+    if (!boxesLayer) return;
+
+    boxesLayer.querySelectorAll('.canvas-box.selected').forEach(box => box.classList.remove('selected'));
+    if (id) {
+        boxesLayer.querySelector(`.canvas-box[data-id="${id}"]`)?.classList.add('selected');
+    }
+}
+
+/**
+ * Draw the composite, or the raw layer rectangles when pixels were skipped
+ */
+function drawBackground(canvas, composite) {
+    const context = canvas.getContext('2d');
+    const origin = page.origin || { left: 0, top: 0 };
+
+    if (composite && composite.width && composite.height) {
+        // Artboard pages show their own part of the document
+        context.putImageData(LayerImageExporter.toImageData(composite), -origin.left, -origin.top);
+        return;
+    }
+
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    drawLayerRects(context, page.layers || []);
+}
+
+function drawLayerRects(context, layers) {
+    // ag-psd lists layers bottom to top, so painting in order keeps the stacking
+    for (const layer of layers) {
+        if (layer.visible === false) continue;
+
+        if (layer.children && layer.children.length > 0) {
+            drawLayerRects(context, layer.children);
+            continue;
+        }
+
+        const { left, top, width, height } = layer.bounds || {};
+        if (!width || !height) continue;
+
+        context.fillStyle = layer.fill?.type === 'solid' ? layer.fill.color : 'rgba(160, 160, 176, 0.35)';
+        context.fillRect(left, top, width, height);
+        context.strokeStyle = 'rgba(96, 96, 112, 0.6)';
+        context.strokeRect(left + 0.5, top + 0.5, width - 1, height - 1);
+    }
+}
+
+/**
+ * Add a positioned box per element, parents before children so children stay clickable
+ */
+function addBoxes(layers) {
+    for (const layer of layers) {
+        if (layer.visible === false) continue;
+
+        const bounds = layer.bounds;
+        if (bounds && bounds.width > 0 && bounds.height > 0) {
+            boxesLayer.appendChild(createBox(layer, bounds));
+        }
+
+        if (layer.children && layer.children.length > 0) {
+            addBoxes(layer.children);
+        }
+    }
+}
+
+function createBox(layer, bounds) {
+    const box = document.createElement('div');
+    box.className = `canvas-box canvas-box--${layer.badgeClass || 'container'}`;
+    box.dataset.id = layer.id;
+    box.title = layer.name;
+
+    // Percentages keep the boxes aligned whatever size the canvas is displayed at
+    box.style.left = `${bounds.left / page.width * 100}%`;
+    box.style.top = `${bounds.top / page.height * 100}%`;
+    box.style.width = `${bounds.width / page.width * 100}%`;
+    box.style.height = `${bounds.height / page.height * 100}%`;
+
+    const label = document.createElement('span');
+    label.className = 'canvas-box__label';
+    label.textContent = getWidgetDisplayName(layer.widgetType);
+    box.appendChild(label);
+
+    box.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (onSelectLayer) onSelectLayer(layer.id);
+    });
+
+    return box;
+}
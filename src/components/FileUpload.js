@@ -1,25 +1,26 @@
 /**
  * File Upload Component
- * Handles drag-and-drop file upload
+ * Handles drag-and-drop file upload, one or several PSDs at once
  */
 
 /**
  * Initialize file upload handlers
  * @param {HTMLElement} dropzone - Dropzone element
  * @param {HTMLInputElement} fileInput - File input element
- * @param {Function} onFile - Callback when file is selected
+ * @param {Function} onFiles - Callback with the selected PSD files (array)
  */
-export function initFileUpload(dropzone, fileInput, onFile) {
+export function initFileUpload(dropzone, fileInput, onFiles) {
     // Click to browse
     dropzone.addEventListener('click', () => {
+        if (isBusy(dropzone)) return;
         fileInput.click();
     });
 
     // File input change
     fileInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file && validateFile(file)) {
-            onFile(file);
+        const files = validateFiles(e.target.files);
+        if (files.length > 0) {
+            onFiles(files);
         }
     });
 
@@ -37,23 +38,36 @@ export function initFileUpload(dropzone, fileInput, onFile) {
     dropzone.addEventListener('drop', (e) => {
         e.preventDefault();
         dropzone.classList.remove('dragover');
+        if (isBusy(dropzone)) return;
 
-        const file = e.dataTransfer.files[0];
-        if (file && validateFile(file)) {
-            onFile(file);
+        const files = validateFiles(e.dataTransfer.files);
+        if (files.length > 0) {
+            onFiles(files);
         }
     });
 }
 
 /**
- * Validate that the file is a PSD
+ * A conversion is running while the progress ring is shown
  */
-function validateFile(file) {
-    if (!file.name.toLowerCase().endsWith('.psd')) {
+function isBusy(dropzone) {
+    return !dropzone.querySelector('.dropzone__progress').hidden;
+}
+
+/**
+ * Keep the PSD files of a selection, warn about the others
+ */
+function validateFiles(fileList) {
+    const files = Array.from(fileList || []);
+    const psdFiles = files.filter(file => file.name.toLowerCase().endsWith('.psd'));
+
+    if (psdFiles.length === 0) {
         showToast('Please upload a PSD file');
-        return false;
+    } else if (psdFiles.length < files.length) {
+        showToast(`Skipped ${files.length - psdFiles.length} non-PSD file(s)`);
     }
-    return true;
+
+    return psdFiles;
 }
 
 /**
@@ -88,6 +102,56 @@ export function resetUpload(dropzone) {
     progress.hidden = true;
 }
 
+/**
+ * Show the list of queued files (only for batches)
+ * @param {HTMLElement} container - Queue list element
+ * @param {Array} files - Queued files
+ */
+export function showQueue(container, files) {
+    container.innerHTML = '';
+    container.hidden = files.length <= 1;
+
+    files.forEach((file, index) => {
+        const item = document.createElement('li');
+        item.className = 'upload-queue__item';
+        item.dataset.index = index;
+
+        const name = document.createElement('span');
+        name.className = 'upload-queue__name';
+        name.textContent = file.name;
+
+        const status = document.createElement('span');
+        status.className = 'upload-queue__status';
+        status.textContent = 'Waiting';
+
+        const bar = document.createElement('div');
+        bar.className = 'upload-queue__bar';
+        const fill = document.createElement('div');
+        fill.className = 'upload-queue__fill';
+        bar.appendChild(fill);
+
+        item.append(name, status, bar);
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Update the progress of a queued file
+ * @param {HTMLElement} container - Queue list element
+ * @param {number} index - File index
+ * @param {number} percent - Progress 0-100
+ * @param {string} status - Status text
+ * @param {string} state - 'active' | 'done' | 'error'
+ */
+export function updateQueueItem(container, index, percent, status, state = 'active') {
+    const item = container.querySelector(`.upload-queue__item[data-index="${index}"]`);
+    if (!item) return;
+
+    item.className = `upload-queue__item upload-queue__item--${state}`;
+    item.querySelector('.upload-queue__status').textContent = status;
+    item.querySelector('.upload-queue__fill').style.width = `${Math.round(percent)}%`;
+}
+
 /**
  * Show toast notification
  */
@@ -0,0 +1,216 @@
+/**
+ * Layer Inspector Component
+ * Side panel to override a layer's widget type, key settings and visibility
+ */
+
+import { getWidgetDisplayName, getWidgetTypes } from '../classifiers/layerClassifier.js';
+import { getDividerColor, getOverridableFields } from '../generators/templates/index.js';
+import { LayerDirectiveHelper } from '../helpers/LayerDirectiveHelper.js';
+
+const FIELD_LABELS = {
+    text: 'Text',
+    color: 'Color',
+    fontSize: 'Font Size',
+    alignment: 'Alignment',
+    link: 'Link URL'
+};
+
+const ALIGNMENTS = ['left', 'center', 'right', 'justify'];
+
+/**
+ * Render the inspector for a layer
+ * @param {HTMLElement} panel - Inspector panel element
+ * @param {Object|null} layer - Selected layer (null closes the inspector)
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onEdit - Called with a change: {widgetType} | {visible} | {override: {field, value}} | {clearOverrides: true}
+ * @param {Function} handlers.onClose - Called when the panel is closed
+ */
+export function renderInspector(panel, layer, { onEdit, onClose }) {
+    panel.innerHTML = '';
+    panel.hidden = !layer;
+    panel.closest('.preview-container')?.classList.toggle('preview-container--inspecting', !!layer);
+
+    if (!layer) return;
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'inspector-panel__header';
+
+    const title = document.createElement('span');
+    title.className = 'inspector-panel__title';
+    title.textContent = layer.name;
+    title.title = layer.name;
+    header.appendChild(title);
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'btn btn--icon';
+    closeBtn.title = 'Close inspector';
+    closeBtn.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6 6 18"/><path d="m6 6 12 12"/></svg>';
+    closeBtn.addEventListener('click', onClose);
+    header.appendChild(closeBtn);
+
+    panel.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'inspector-panel__body';
+
+    // Widget type
+    const typeSelect = document.createElement('select');
+    getWidgetTypes().forEach(type => {
+        typeSelect.appendChild(new Option(getWidgetDisplayName(type), type));
+    });
+    typeSelect.value = layer.widgetType;
+    typeSelect.addEventListener('change', () => onEdit({ widgetType: typeSelect.value }));
+    body.appendChild(createField('Widget Type', typeSelect));
+
+    // Naming rule that picked the widget type
+    const rule = document.createElement('span');
+    rule.className = 'inspector-field__value';
+    rule.textContent = describeNamingRule(layer.namingRule);
+    body.appendChild(createField('Naming Rule', rule));
+
+    // Why the classifier picked the widget type
+    const classification = describeClassification(layer);
+    if (classification) {
+        const reason = document.createElement('span');
+        reason.className = 'inspector-field__value';
+        reason.textContent = classification;
+        body.appendChild(createField('Classification', reason));
+    }
+
+    // Directives written in the layer name
+    if (layer.directives || layer.directiveWarnings) {
+        const directives = document.createElement('span');
+        directives.className = 'inspector-field__value';
+        directives.textContent = LayerDirectiveHelper.format(layer.directives) || 'None';
+        directives.title = (layer.directiveWarnings || []).join('\n');
+        body.appendChild(createField('Directives', directives));
+    }
+
+    // Visibility
+    const visibleInput = document.createElement('input');
+    visibleInput.type = 'checkbox';
+    visibleInput.checked = layer.visible !== false;
+    visibleInput.addEventListener('change', () => onEdit({ visible: visibleInput.checked }));
+    body.appendChild(createField('Visible', visibleInput, 'inspector-field--inline'));
+
+    // Settings used by the widget template
+    const overrides = layer.overrides || {};
+    for (const field of getOverridableFields(layer.widgetType)) {
+        const input = createFieldInput(field, overrides[field] ?? getDesignValue(layer, field));
+        input.addEventListener('change', () => {
+            onEdit({ override: { field, value: readValue(field, input) } });
+        });
+        body.appendChild(createField(FIELD_LABELS[field], input));
+    }
+
+    if (Object.keys(overrides).length > 0) {
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'btn btn--secondary';
+        resetBtn.textContent = 'Reset to design';
+        resetBtn.addEventListener('click', () => onEdit({ clearOverrides: true }));
+        body.appendChild(resetBtn);
+    }
+
+    panel.appendChild(body);
+}
+
+/**
+ * Naming rule summary, e.g. 'kop (custom) /^kop[-_]?/'
+ * @param {Object|null} rule - Rule recorded by the classifier
+ * @returns {string}
+ */
+export function describeNamingRule(rule) {
+    if (!rule) return 'None (inferred from the layer)';
+    return `${rule.id} (${rule.source === 'custom' ? 'custom' : 'built-in'}) /${rule.pattern}/`;
+}
+
+/**
+ * Classification reason and confidence, e.g. 'font size 28 ≥ HEADING_FONT_SIZE (24) · 80% confidence'
+ * @param {Object} layer - Classified layer
+ * @returns {string} Empty for layers classified before reasons were recorded
+ */
+export function describeClassification(layer) {
+    if (!layer.reason) return '';
+
+    const confidence = typeof layer.confidence === 'number'
+        ? ` · ${Math.round(layer.confidence * 100)}% confidence`
+        : '';
+    return `${layer.reason}${confidence}`;
+}
+
+/**
+ * Value taken from the PSD, shown until the field is overridden
+ */
+function getDesignValue(layer, field) {
+    const textInfo = layer.textInfo || {};
+    const directives = layer.directives || {};
+
+    switch (field) {
+        case 'text':
+            return textInfo.text || '';
+        case 'color':
+            if (layer.widgetType === 'divider') return getDividerColor(layer);
+            return textInfo.color || '#333333';
+        case 'fontSize':
+            return textInfo.fontSize || '';
+        case 'alignment':
+            return directives.align || textInfo.alignment || '';
+        case 'link':
+            return directives.link || '';
+        default:
+            return '';
+    }
+}
+
+function createField(label, input, modifier = '') {
+    const field = document.createElement('label');
+    field.className = `inspector-field ${modifier}`.trim();
+
+    const labelText = document.createElement('span');
+    labelText.className = 'inspector-field__label';
+    labelText.textContent = label;
+
+    field.appendChild(labelText);
+    field.appendChild(input);
+    return field;
+}
+
+function createFieldInput(field, value) {
+    let input;
+
+    switch (field) {
+        case 'text':
+            input = document.createElement('textarea');
+            input.rows = 3;
+            break;
+        case 'color':
+            input = document.createElement('input');
+            input.type = 'color';
+            break;
+        case 'fontSize':
+            input = document.createElement('input');
+            input.type = 'number';
+            input.min = '1';
+            break;
+        case 'alignment':
+            input = document.createElement('select');
+            input.appendChild(new Option('Default', ''));
+            ALIGNMENTS.forEach(align => input.appendChild(new Option(align, align)));
+            break;
+        default:
+            input = document.createElement('input');
+            input.type = 'url';
+            input.placeholder = 'https://';
+    }
+
+    input.value = value ?? '';
+    return input;
+}
+
+function readValue(field, input) {
+    if (field === 'fontSize') {
+        return input.value === '' ? '' : Number(input.value);
+    }
+    return input.value;
+}
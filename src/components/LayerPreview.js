@@ -1,25 +1,44 @@
 /**
  * Layer Preview Component
  * Renders layer tree with drag-and-drop reordering
+ * and opens the inspector for the selected layer
+ *
+ * Every tree mutation goes through applyChange() so it can be undone
  */
 
-import { getWidgetDisplayName, getWidgetIcon } from '../classifiers/layerClassifier.js';
+import { getWidgetDisplayName, getWidgetIcon, isLowConfidence, setWidgetType } from '../classifiers/layerClassifier.js';
+import { renderInspector, describeClassification, describeNamingRule } from './LayerInspector.js';
 
 let draggedItem = null;
 let draggedData = null;
 let layers = [];
 let onLayersChange = null;
+let selectionHandlers = {};
+let selectedId = null;
+
+// Undo/redo history (serialized layer trees) of the shown tree
+const MAX_HISTORY = 100;
+let history = { undo: [], redo: [] };
 
 /**
  * Initialize the layer preview component
  * @param {HTMLElement} container - Container element
  * @param {Array} initialLayers - Initial layer data
  * @param {Function} onChange - Callback when layers change
+ * @param {Object} handlers - Optional row callbacks
+ * @param {Function} handlers.onHover - Called with the hovered layer id (null on leave)
+ * @param {Function} handlers.onSelect - Called with the selected layer id (null when cleared)
+ * @param {Object} layerHistory - Undo/redo stacks of this tree ({undo: [], redo: []}), filled in place.
+ *   Pass the same object again to keep the history when the tree is shown again, omit it to start a new one
  */
-export function initLayerPreview(container, initialLayers, onChange) {
+export function initLayerPreview(container, initialLayers, onChange, handlers = {}, layerHistory = { undo: [], redo: [] }) {
     layers = JSON.parse(JSON.stringify(initialLayers)); // Deep clone
     onLayersChange = onChange;
+    selectionHandlers = handlers;
+    selectedId = null;
+    history = layerHistory;
     render(container);
+    updateInspector();
 }
 
 /**
@@ -29,6 +48,73 @@ export function getLayers() {
     return layers;
 }
 
+/**
+ * Undo the last tree change
+ */
+export function undo() {
+    if (history.undo.length === 0) return;
+
+    history.redo.push(JSON.stringify(layers));
+    layers = JSON.parse(history.undo.pop());
+    refresh();
+}
+
+/**
+ * Redo the last undone tree change
+ */
+export function redo() {
+    if (history.redo.length === 0) return;
+
+    history.undo.push(JSON.stringify(layers));
+    layers = JSON.parse(history.redo.pop());
+    refresh();
+}
+
+/**
+ * Check whether undo/redo are available
+ */
+export function getHistoryState() {
+    return {
+        canUndo: history.undo.length > 0,
+        canRedo: history.redo.length > 0
+    };
+}
+
+/**
+ * Run a tree mutation as one undoable step
+ * No history entry is recorded when the mutation changes nothing
+ * @param {Function} mutate - Mutates the module-level layers
+ */
+function applyChange(mutate) {
+    const snapshot = JSON.stringify(layers);
+    mutate();
+
+    if (JSON.stringify(layers) === snapshot) return;
+
+    history.undo.push(snapshot);
+    if (history.undo.length > MAX_HISTORY) history.undo.shift();
+    history.redo.length = 0;
+
+    refresh();
+}
+
+/**
+ * Re-render tree and inspector, then notify of the new state
+ */
+function refresh() {
+    if (selectedId && !findLayerById(selectedId)) {
+        selectedId = null;
+        selectionHandlers.onSelect?.(null);
+    }
+
+    render(document.getElementById('layerTree'));
+    updateInspector();
+
+    if (onLayersChange) {
+        onLayersChange(layers);
+    }
+}
+
 /**
  * Render the layer tree
  */
@@ -55,6 +141,12 @@ function createLayerItem(layer, index, siblings, parent) {
     row.className = 'layer-item__row';
     row.draggable = true;
     row.dataset.id = layer.id;
+    row.classList.toggle('selected', layer.id === selectedId);
+    row.classList.toggle('muted', layer.visible === false);
+    row.classList.toggle('low-confidence', isLowConfidence(layer));
+    row.addEventListener('click', () => selectLayer(layer.id));
+    row.addEventListener('mouseenter', () => selectionHandlers.onHover?.(layer.id));
+    row.addEventListener('mouseleave', () => selectionHandlers.onHover?.(null));
 
     // Toggle button for containers
     if (hasChildren) {
@@ -93,6 +185,10 @@ function createLayerItem(layer, index, siblings, parent) {
     const badge = document.createElement('span');
     badge.className = `layer-item__badge layer-item__badge--${layer.badgeClass || 'container'}`;
     badge.textContent = getWidgetDisplayName(layer.widgetType);
+    badge.title = [
+        describeClassification(layer),
+        `Naming rule: ${describeNamingRule(layer.namingRule)}`
+    ].filter(Boolean).join('\n');
     row.appendChild(badge);
 
     // Drag events
@@ -114,15 +210,70 @@ function createLayerItem(layer, index, siblings, parent) {
         item.appendChild(childrenContainer);
     }
 
-    // Make containers droppable for nesting
+    // Make containers droppable for nesting (handleDrop nests drops on their center)
     if (isContainer) {
         row.addEventListener('dragover', handleContainerDragOver);
-        row.addEventListener('drop', handleContainerDrop);
     }
 
     return item;
 }
 
+/**
+ * Select a layer and show it in the inspector
+ * @param {string|null} id - Layer id, null clears the selection
+ */
+export function selectLayer(id) {
+    selectedId = id;
+    render(document.getElementById('layerTree'));
+    updateInspector();
+
+    if (id) {
+        document.querySelector(`.layer-item__row[data-id="${id}"]`)?.scrollIntoView({ block: 'nearest' });
+    }
+    selectionHandlers.onSelect?.(id);
+}
+
+/**
+ * Render the inspector for the selected layer
+ */
+function updateInspector() {
+    const panel = document.getElementById('inspectorPanel');
+    if (!panel) return;
+
+    renderInspector(panel, selectedId ? findLayerById(selectedId) : null, {
+        onEdit: (change) => editLayer(selectedId, change),
+        onClose: () => selectLayer(null)
+    });
+}
+
+/**
+ * Apply an inspector change to a layer
+ */
+function editLayer(id, change) {
+    const layer = findLayerById(id);
+    if (!layer) return;
+
+    applyChange(() => {
+        if (change.widgetType) {
+            setWidgetType(layer, change.widgetType);
+        }
+
+        if (change.visible !== undefined) {
+            layer.visible = change.visible;
+        }
+
+        if (change.override) {
+            const { field, value } = change.override;
+            layer.overrides = { ...layer.overrides, [field]: value };
+            if (value === '' || value === null) delete layer.overrides[field];
+        }
+
+        if (change.clearOverrides) {
+            delete layer.overrides;
+        }
+    });
+}
+
 /**
  * Drag start handler
  */
@@ -189,7 +340,8 @@ function handleDragLeave(e) {
 }
 
 /**
- * Drop handler for reordering
+ * Drop handler: nests into containers when dropped on their center, reorders otherwise
+ * Either way the drop is a single undo step
  */
 function handleDrop(e) {
     e.preventDefault();
@@ -201,21 +353,18 @@ function handleDrop(e) {
     const draggedId = e.dataTransfer.getData('text/plain');
     const targetId = target.dataset.id;
 
+    if (isNestingDrop(e, target)) {
+        // Nest the layer inside the container
+        applyChange(() => nestLayer(draggedId, targetId));
+        return;
+    }
+
     // Determine drop position
     const rect = target.getBoundingClientRect();
     const dropBefore = e.clientY < rect.top + rect.height / 2;
 
-    // Move the layer
-    moveLayer(draggedId, targetId, dropBefore);
-
-    // Re-render
-    const container = document.getElementById('layerTree');
-    render(container);
-
-    // Notify of change
-    if (onLayersChange) {
-        onLayersChange(layers);
-    }
+    // Move the layer (re-renders and notifies of the change)
+    applyChange(() => moveLayer(draggedId, targetId, dropBefore));
 }
 
 /**
@@ -238,37 +387,15 @@ function handleContainerDragOver(e) {
 }
 
 /**
- * Handle drop into container for nesting
+ * Check if a drop lands in the center of a container row (nesting rather than reordering)
  */
-function handleContainerDrop(e) {
-    const target = e.target.closest('.layer-item__row');
-    if (!target || target === draggedItem) return;
-
-    const targetId = target.dataset.id;
-    const targetLayer = findLayerById(targetId);
+function isNestingDrop(e, target) {
+    const targetLayer = findLayerById(target.dataset.id);
+    if (!targetLayer || !(targetLayer.widgetType === 'container' || targetLayer.children?.length > 0)) return false;
 
-    // Only proceed if dropping into a non-standard reorder zone (center of container)
     const rect = target.getBoundingClientRect();
     const centerZone = rect.height * 0.3;
-    const inCenterZone = e.clientY > rect.top + centerZone && e.clientY < rect.bottom - centerZone;
-
-    if (targetLayer && (targetLayer.widgetType === 'container' || targetLayer.children) && inCenterZone) {
-        e.preventDefault();
-        e.stopPropagation();
-
-        const draggedId = e.dataTransfer.getData('text/plain');
-
-        // Nest the layer inside the container
-        nestLayer(draggedId, targetId);
-
-        // Re-render
-        const container = document.getElementById('layerTree');
-        render(container);
-
-        if (onLayersChange) {
-            onLayersChange(layers);
-        }
-    }
+    return e.clientY > rect.top + centerZone && e.clientY < rect.bottom - centerZone;
 }
 
 /**
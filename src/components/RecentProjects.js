@@ -0,0 +1,52 @@
+/**
+ * Recent Projects Component
+ * Lists the projects saved in the browser on the upload screen
+ */
+
+/**
+ * Render the recent projects list
+ * @param {HTMLElement} container - List container element
+ * @param {Array} projects - Project summaries {id, name, savedAt, pages}
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onOpen - Called with a project id
+ * @param {Function} handlers.onDelete - Called with a project id
+ */
+export function renderRecentProjects(container, projects, { onOpen, onDelete }) {
+    const list = container.querySelector('.recent-projects__list');
+    list.innerHTML = '';
+    container.hidden = projects.length === 0;
+
+    for (const project of projects) {
+        const item = document.createElement('li');
+        item.className = 'recent-projects__item';
+        item.title = 'Reopen project';
+
+        const name = document.createElement('span');
+        name.className = 'recent-projects__name';
+        name.textContent = project.name;
+
+        const meta = document.createElement('span');
+        meta.className = 'recent-projects__meta';
+        meta.textContent = `${project.pages} page${project.pages === 1 ? '' : 's'} · ${formatDate(project.savedAt)}`;
+
+        const remove = document.createElement('button');
+        remove.className = 'btn btn--icon recent-projects__delete';
+        remove.title = 'Delete project';
+        remove.textContent = '×';
+        remove.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onDelete(project.id);
+        });
+
+        item.append(name, meta, remove);
+        item.addEventListener('click', () => onOpen(project.id));
+        list.appendChild(item);
+    }
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+}
@@ -0,0 +1,77 @@
+/**
+ * Report View Component
+ * Shows the conversion report of the active page in the output panel
+ */
+
+import { ISSUE_TYPES } from '../generators/reportGenerator.js';
+
+/**
+ * Render a conversion report
+ * @param {HTMLElement} container - Report view element
+ * @param {Object} report - Report from createConversionReport()
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onSelect - Called with the layer id of a clicked issue
+ */
+export function renderReport(container, report, { onSelect }) {
+    container.innerHTML = '';
+
+    const stats = document.createElement('p');
+    stats.className = 'report-view__stats';
+    stats.textContent = [
+        `${report.layers.total} layers (${report.layers.hidden} hidden)`,
+        `${report.elements.total} elements`,
+        `${report.coverage.converted}/${report.coverage.layers} visible layers converted (${report.coverage.percent}%)`
+    ].join(' · ');
+    container.appendChild(stats);
+
+    if (report.issues.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'report-view__empty';
+        empty.textContent = 'No issues found.';
+        container.appendChild(empty);
+        return;
+    }
+
+    // One group per issue type, in the order of ISSUE_TYPES
+    for (const [type, label] of Object.entries(ISSUE_TYPES)) {
+        const issues = report.issues.filter(issue => issue.type === type);
+        if (issues.length === 0) continue;
+
+        const group = document.createElement('details');
+        group.className = `report-group report-group--${type}`;
+        group.open = issues.length <= 10;
+
+        const summary = document.createElement('summary');
+        summary.textContent = `${label} (${issues.length})`;
+        group.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'report-group__list';
+
+        for (const issue of issues) {
+            const item = document.createElement('li');
+            item.className = 'report-issue';
+
+            const layer = document.createElement('span');
+            layer.className = 'report-issue__layer';
+            layer.textContent = issue.layer;
+
+            const message = document.createElement('span');
+            message.className = 'report-issue__message';
+            message.textContent = issue.message;
+
+            item.append(layer, message);
+
+            if (issue.layerId) {
+                item.classList.add('report-issue--link');
+                item.title = 'Select layer';
+                item.addEventListener('click', () => onSelect(issue.layerId));
+            }
+
+            list.appendChild(item);
+        }
+
+        group.appendChild(list);
+        container.appendChild(group);
+    }
+}
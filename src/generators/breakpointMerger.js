@@ -0,0 +1,114 @@
+/**
+ * Breakpoint Merger
+ * Folds tablet/mobile artboard output into the desktop template as
+ * Elementor responsive settings (<key>_tablet / <key>_mobile)
+ *
+ * Elements are matched by source layer name, in document order
+ * when several layers share a name.
+ */
+
+/**
+ * Settings Elementor supports per device
+ */
+export const RESPONSIVE_SETTINGS = [
+    // Containers
+    'flex_direction',
+    'flex_justify_content',
+    'flex_align_items',
+    'flex_gap',
+    'flex_wrap',
+    'padding',
+    'margin',
+    'width',
+    'boxed_width',
+    'min_height',
+    // Columns (legacy sections)
+    '_inline_size',
+    // Widgets
+    'align',
+    'text_align',
+    'typography_font_size',
+    'typography_line_height',
+    'typography_letter_spacing',
+    'title_typography_font_size',
+    'title_typography_line_height',
+    'description_typography_font_size',
+    'description_typography_line_height',
+    'icon_size',
+    'image_size',
+    'text_padding',
+    '_padding'
+];
+
+/**
+ * Apply the settings of matched tablet/mobile elements to the desktop elements
+ * @param {Array} sources - Desktop element/layer pairs from generateElementorJson()
+ * @param {Array} variants - Array of {device: 'tablet'|'mobile', sources}
+ * @returns {Object} {matched, unmatched} per device
+ */
+export function applyBreakpoints(sources, variants) {
+    const stats = {};
+
+    for (const { device, sources: deviceSources } of variants) {
+        const queues = groupByLayerName(deviceSources);
+        stats[device] = { matched: 0, unmatched: 0 };
+
+        for (const { element, layer } of sources) {
+            if (!layer) continue;
+
+            const match = takeMatch(queues, layer.name, element);
+            if (!match) {
+                stats[device].unmatched++;
+                continue;
+            }
+
+            copyResponsiveSettings(element, match, device);
+            stats[device].matched++;
+        }
+    }
+
+    return stats;
+}
+
+/**
+ * Group device elements by normalized layer name, keeping document order
+ */
+function groupByLayerName(sources) {
+    const queues = new Map();
+
+    for (const { element, layer } of sources) {
+        if (!layer) continue;
+
+        const key = normalizeName(layer.name);
+        if (!queues.has(key)) queues.set(key, []);
+        queues.get(key).push(element);
+    }
+
+    return queues;
+}
+
+/**
+ * Take the next unused element with the same name and element type
+ */
+function takeMatch(queues, name, element) {
+    const queue = queues.get(normalizeName(name));
+    if (!queue) return null;
+
+    const index = queue.findIndex(candidate =>
+        candidate.elType === element.elType && candidate.widgetType === element.widgetType
+    );
+    if (index === -1) return null;
+
+    return queue.splice(index, 1)[0];
+}
+
+function copyResponsiveSettings(element, match, device) {
+    for (const key of RESPONSIVE_SETTINGS) {
+        if (match.settings[key] === undefined) continue;
+        element.settings[`${key}_${device}`] = match.settings[key];
+    }
+}
+
+function normalizeName(name) {
+    return (name || '').trim().toLowerCase();
+}
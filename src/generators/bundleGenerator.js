@@ -0,0 +1,223 @@
+/**
+ * Asset Bundle Generator
+ * Packs the Elementor template, exported layer images and a manifest into a ZIP
+ *
+ * BUNDLE LAYOUT:
+ * - <name>.json        Elementor template
+ * - assets/*           Exported layer images
+ * - manifest.json      Element id -> source layer mapping
+ * - site-settings.json Kit colors and typography (when the template uses globals)
+ * - report.json/.html  Conversion report (when one is given)
+ */
+
+import { zipSync, strToU8 } from 'fflate';
+import { downloadBlob } from './elementorGenerator.js';
+import { createReportHtml } from './reportGenerator.js';
+
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Build the bundle manifest
+ * @param {Object} json - Elementor JSON template
+ * @param {Object} bundle - Bundle contents
+ * @param {Array} bundle.sources - Element/layer pairs from generateElementorJson()
+ * @param {Array} bundle.assets - Exported layer images
+ * @param {Object} bundle.metadata - PSD metadata (width, height, fileName)
+ * @param {Object|null} bundle.siteSettings - Kit globals referenced by the template (createBundle only)
+ * @param {Object|null} bundle.report - Conversion report (createBundle only)
+ * @param {string} bundle.templateFile - Template file name inside the bundle
+ * @returns {Object} Manifest object
+ */
+export function createManifest(json, { sources = [], assets = [], metadata = {}, templateFile }) {
+    return {
+        version: MANIFEST_VERSION,
+        title: json.title,
+        template: templateFile,
+        generatedAt: new Date().toISOString(),
+        canvas: {
+            width: metadata.width,
+            height: metadata.height
+        },
+        elements: sources.map(({ element, layer }) => ({
+            elementId: element.id,
+            elType: element.elType,
+            widgetType: element.widgetType || null,
+            layer: layer ? {
+                id: layer.id,
+                name: layer.name,
+                bounds: layer.bounds || null
+            } : null,
+            asset: layer?.imageAsset?.path || null
+        })),
+        assets: assets.map(asset => ({
+            path: asset.path,
+            url: asset.url,
+            mimeType: asset.mimeType,
+            width: asset.width,
+            height: asset.height,
+            layerId: asset.layerId,
+            layerName: asset.layerName
+        }))
+    };
+}
+
+/**
+ * Create a ZIP bundle with template, images and manifest
+ * @param {Object} json - Elementor JSON template
+ * @param {Object} bundle - Bundle contents (see createManifest)
+ * @param {string} filename - Base filename without extension
+ * @returns {Promise<Uint8Array>} ZIP archive bytes
+ */
+export async function createBundle(json, bundle, filename) {
+    const templateFile = `${filename}.json`;
+    const manifest = createManifest(json, { ...bundle, templateFile });
+
+    const files = {
+        [templateFile]: strToU8(JSON.stringify(json, null, 2)),
+        'manifest.json': strToU8(JSON.stringify(manifest, null, 2))
+    };
+
+    addSiteSettings(files, bundle.siteSettings);
+    addReport(files, bundle.report, 'report');
+    await addAssets(files, [bundle]);
+
+    return zipSync(files);
+}
+
+/**
+ * Download the bundle as a ZIP file
+ * @param {Object} json - Elementor JSON template
+ * @param {Object} bundle - Bundle contents (see createManifest)
+ * @param {string} filename - Base filename without extension
+ */
+export async function downloadBundle(json, bundle, filename) {
+    downloadZip(await createBundle(json, bundle, filename), filename);
+}
+
+/**
+ * Create one ZIP holding the templates of a whole batch
+ * Each entry keeps its own <filename>.json, images are shared under assets/, reports go to reports/
+ * @param {Array} entries - [{json, filename, sources, assets, metadata, report}]
+ * @param {Object} options - Archive options
+ * @param {Object|null} options.siteSettings - Kit globals shared by the templates
+ * @returns {Promise<Uint8Array>} ZIP archive bytes
+ */
+export async function createBatchArchive(entries, { siteSettings = null } = {}) {
+    const files = {};
+    const templateFiles = uniqueFileNames(entries.map(entry => entry.filename));
+
+    entries.forEach((entry, index) => {
+        files[`${templateFiles[index]}.json`] = strToU8(JSON.stringify(entry.json, null, 2));
+        addReport(files, entry.report, `reports/${templateFiles[index]}`);
+    });
+
+    addSiteSettings(files, siteSettings);
+    await addAssets(files, entries);
+
+    return zipSync(files);
+}
+
+/**
+ * Create an Elementor template kit from a batch
+ *
+ * KIT LAYOUT:
+ * - manifest.json         Kit manifest listing every template
+ * - templates/<name>.json Elementor templates
+ * - assets/*              Exported layer images
+ * - site-settings.json    Kit colors and typography (when the templates use globals)
+ * - reports/<name>.*      Conversion reports (JSON and HTML)
+ *
+ * @param {Array} entries - [{json, filename, sources, assets, metadata, report}]
+ * @param {Object} kit - Kit information
+ * @param {string} kit.title - Kit title
+ * @param {Object|null} kit.siteSettings - Kit globals shared by the templates
+ * @returns {Promise<Uint8Array>} ZIP archive bytes
+ */
+export async function createTemplateKit(entries, { title = 'PSD Template Kit', siteSettings = null } = {}) {
+    const files = {};
+    const templateFiles = uniqueFileNames(entries.map(entry => entry.filename));
+
+    const templates = entries.map((entry, index) => {
+        const source = `templates/${templateFiles[index]}.json`;
+        files[source] = strToU8(JSON.stringify(entry.json, null, 2));
+        addReport(files, entry.report, `reports/${templateFiles[index]}`);
+
+        return {
+            name: entry.json.title,
+            screenshot: "",
+            source,
+            preview_url: "",
+            type: "single-page",
+            category: "pages",
+            metadata: {
+                template_type: entry.json.type,
+                canvas: {
+                    width: entry.metadata?.width,
+                    height: entry.metadata?.height
+                },
+                elements: (entry.sources || []).length
+            }
+        };
+    });
+
+    files['manifest.json'] = strToU8(JSON.stringify({
+        manifest_version: "1.0.0",
+        title,
+        page_builder: "elementor",
+        kit_version: "1.0.0",
+        generatedAt: new Date().toISOString(),
+        templates,
+        ...(siteSettings ? { site_settings: "site-settings.json" } : {}),
+        required_plugins: [{ name: "Elementor", file: "elementor/elementor.php" }]
+    }, null, 2));
+
+    addSiteSettings(files, siteSettings);
+    await addAssets(files, entries);
+
+    return zipSync(files);
+}
+
+/**
+ * Download a ZIP archive
+ * @param {Uint8Array} zip - Archive bytes
+ * @param {string} filename - Base filename without extension
+ */
+export function downloadZip(zip, filename) {
+    downloadBlob(new Blob([zip], { type: 'application/zip' }), `${filename}.zip`);
+}
+
+function addSiteSettings(files, siteSettings) {
+    if (siteSettings) {
+        files['site-settings.json'] = strToU8(JSON.stringify(siteSettings, null, 2));
+    }
+}
+
+function addReport(files, report, baseName) {
+    if (report) {
+        files[`${baseName}.json`] = strToU8(JSON.stringify(report, null, 2));
+        files[`${baseName}.html`] = strToU8(createReportHtml(report));
+    }
+}
+
+async function addAssets(files, entries) {
+    for (const entry of entries) {
+        for (const asset of entry.assets || []) {
+            if (files[asset.path]) continue;
+
+            // Images are already compressed, store them as-is
+            files[asset.path] = [new Uint8Array(await asset.blob.arrayBuffer()), { level: 0 }];
+        }
+    }
+}
+
+/**
+ * Suffix repeated names (two "home.psd" from different folders) so no template is overwritten
+ */
+function uniqueFileNames(names) {
+    const seen = {};
+
+    return names.map(name => {
+        seen[name] = (seen[name] || 0) + 1;
+        return seen[name] > 1 ? `${name}-${seen[name]}` : name;
+    });
+}
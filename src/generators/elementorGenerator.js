@@ -6,49 +6,91 @@
  * - Widgets can ONLY be placed inside containers
  * - The content array only contains containers
  * - Containers can contain widgets or other containers
+ *
+ * LEGACY SECTIONS (layout: 'sections'):
+ * - The content array only contains sections, sections only contain columns
+ * - Columns contain widgets or inner sections, inner sections can't nest
  */
 
 import { generateId } from '../parsers/psdParser.js';
 import * as templates from './templates/index.js';
+import { ContainerLayoutHelper } from '../helpers/ContainerLayoutHelper.js';
+import { LayoutRelationshipHelper } from '../helpers/LayoutRelationshipHelper.js';
+import { HeadingLevelHelper } from '../helpers/HeadingLevelHelper.js';
+
+/**
+ * Output structures: Flexbox Containers, or Sections/Columns for sites without the container experiment
+ */
+export const LAYOUT_MODES = ['containers', 'sections'];
 
 /**
  * Generate Elementor JSON from classified layers
  * @param {Array} layers - Classified layer tree
  * @param {Object} metadata - PSD metadata (width, height, fileName)
- * @returns {Object} Elementor JSON template
+ * @param {Object} options - Output options
+ * @param {string} options.layout - 'containers' (default) | 'sections'
+ * @param {import('../classifiers/NamingRules.js').NamingRules} options.namingRules - Rules for image-box contents
+ *   (default: NamingRules.getActive())
+ * @returns {{template: Object, sources: Array<{element: Object, layer: Object|null}>}}
+ *   Elementor JSON template, and the layer each of its elements was generated from
  */
-export function generateElementorJson(layers, metadata) {
-    // Ensure all root-level elements are containers
+export function generateElementorJson(layers, metadata, options = {}) {
+    // Generation state travels with the layout context, shared by all containers
+    const context = {
+        parent: null,
+        canvasWidth: metadata.width,
+        gridWidth: ContainerLayoutHelper.detectGridWidth(layers, metadata.width),
+        headingLevels: HeadingLevelHelper.assignLevels(layers), // Heading layer -> h1-h6 level
+        namingRules: options.namingRules || null,
+        sources: []
+    };
+
+    // Ensure all root-level elements are containers (or sections)
     // If there are widgets at root level, wrap them in a container
-    const content = wrapInContainers(layers);
+    const content = options.layout === 'sections'
+        ? wrapInSections(layers, context)
+        : wrapInContainers(layers, context);
 
-    return {
+    const template = {
         content: content,
         page_settings: [],
         version: "0.4",
         title: metadata.fileName || "PSD Template",
         type: "page"
     };
+
+    return { template, sources: context.sources };
+}
+
+/**
+ * Record which layer an Elementor element was generated from
+ */
+function trackElement(element, layer, context) {
+    context.sources.push({ element, layer });
+    return element;
 }
 
 /**
  * Ensure root-level elements are all containers
  * Widgets at root level are wrapped in an auto-generated container
  */
-function wrapInContainers(layers) {
+function wrapInContainers(layers, context) {
     const result = [];
     let widgetBuffer = [];
 
     for (const layer of layers) {
+        // Layers hidden in the PSD or in the inspector are not exported
+        if (layer.visible === false) continue;
+
         if (layer.widgetType === 'container' || layer.isComposite ||
             (layer.children && layer.children.length > 0 && !layer.isComposite)) {
             // First, flush any buffered widgets into a container
             if (widgetBuffer.length > 0) {
-                result.push(createWrapperContainer(widgetBuffer));
+                result.push(createWrapperContainer(widgetBuffer, context));
                 widgetBuffer = [];
             }
             // Add the container element
-            result.push(generateElement(layer));
+            result.push(generateElement(layer, context));
         } else {
             // Buffer widget to be wrapped
             widgetBuffer.push(layer);
@@ -57,7 +99,7 @@ function wrapInContainers(layers) {
 
     // Flush remaining widgets
     if (widgetBuffer.length > 0) {
-        result.push(createWrapperContainer(widgetBuffer));
+        result.push(createWrapperContainer(widgetBuffer, context));
     }
 
     return result;
@@ -66,50 +108,62 @@ function wrapInContainers(layers) {
 /**
  * Create a wrapper container for orphan widgets
  */
-function createWrapperContainer(widgets) {
+function createWrapperContainer(widgets, context) {
     const container = templates.createContainer({
         id: generateId(),
         name: 'Auto Container',
-        depth: 0
-    });
-    container.elements = widgets.map(widget => generateWidget(widget));
-    return container;
+        depth: 0,
+        children: widgets,
+        bounds: mergeLayerBounds(widgets)
+    }, context);
+    container.elements = widgets.map(widget => generateWidget(widget, context));
+    return trackElement(container, null, context);
 }
 
 /**
  * Generate an Elementor element from a layer
  * @param {Object} layer - Classified layer
+ * @param {Object} context - Layout context (parent, gridWidth, canvasWidth)
  * @returns {Object} Elementor element
  */
-function generateElement(layer) {
+function generateElement(layer, context) {
     const widgetType = layer.widgetType;
 
     // Handle composite widgets (image-box, icon-box, icon-list)
     if (layer.isComposite) {
         // console.log("Generating Composite Widget [generateElement]:", layer);
-        return generateCompositeWidget(layer);
+        return generateCompositeWidget(layer, context);
     }
 
     // Handle containers with children
     if (widgetType === 'container' && (layer.children && layer.children.length > 0)) {
         // console.log("Generating Container [generateElement]:", layer);
-        return generateContainer(layer);
+        return generateContainer(layer, context);
     }
 
     // Generate widget (should not reach here for root level due to wrapInContainers)
     //console.log("Generating Widget [generateElement]:", layer);
-    return generateWidget(layer);
+    return generateWidget(layer, context);
 }
 
 /**
  * Generate a widget element
  */
-function generateWidget(layer) {
+function generateWidget(layer, context) {
+    const widget = templates.applyDirectiveSettings(createWidget(layer, context), layer);
+    templates.applySettingOverrides(widget, layer.overrides);
+    return trackElement(widget, layer, context);
+}
+
+/**
+ * Create the widget element for a layer's widget type
+ */
+function createWidget(layer, context) {
     const widgetType = layer.widgetType;
 
     switch (widgetType) {
         case 'heading':
-            return templates.createHeadingWidget(layer);
+            return templates.createHeadingWidget(layer, context.headingLevels.get(layer));
         case 'text-editor':
             return templates.createTextWidget(layer);
         case 'button':
@@ -117,11 +171,15 @@ function generateWidget(layer) {
         case 'image':
             return templates.createImageWidget(layer);
         case 'image-box':
-            return templates.createImageBoxWidget(layer);
+            return templates.createImageBoxWidget(layer, context.namingRules);
         case 'icon-box':
             return templates.createIconBoxWidget(layer);
         case 'icon-list':
             return templates.createIconListWidget(layer);
+        case 'divider':
+            return templates.createDividerWidget(layer, context);
+        case 'spacer':
+            return templates.createSpacerWidget(layer);
         case 'container':
         default:
             return templates.createEmptyContainer(layer);
@@ -132,53 +190,193 @@ function generateWidget(layer) {
  * Generate a container with nested elements
  * Ensures children are properly handled based on type
  */
-function generateContainer(layer) {
-    const container = templates.createContainer(layer);
+function generateContainer(layer, context) {
+    const container = templates.applyDirectiveSettings(templates.createContainer(layer, context), layer);
+    const childContext = { ...context, parent: layer };
 
     if (layer.children && layer.children.length > 0) {
-        container.elements = layer.children.map(child => {
+        container.elements = layer.children.filter(child => child.visible !== false).map(child => {
             // If child is a container, recurse
             if (child.widgetType === 'container' ||
                 (child.children && child.children.length > 0 && !child.isComposite)) {
-                return generateElement(child);
+                return generateElement(child, childContext);
             }
             // Otherwise generate as widget
-            return generateWidget(child);
+            return generateWidget(child, childContext);
         });
     }
 
-    return container;
+    return trackElement(container, layer, context);
 }
 
 /**
  * Generate composite widgets (image-box, icon-box from grouped layers)
  * These are single widgets that combine multiple layer data
  */
-function generateCompositeWidget(layer) {
+function generateCompositeWidget(layer, context) {
     const widgetType = layer.widgetType;
 
     // Extract child data for composite widget
-    const childData = extractCompositeData(layer.children || []);
+    const childData = extractCompositeData((layer.children || []).filter(child => child.visible !== false));
 
+    let widget;
     switch (widgetType) {
         case 'image-box':
-            return templates.createImageBoxWidget({
+            widget = templates.createImageBoxWidget({
                 ...layer,
                 compositeData: childData
-            });
+            }, context.namingRules);
+            break;
         case 'icon-box':
-            return templates.createIconBoxWidget({
+            widget = templates.createIconBoxWidget({
                 ...layer,
                 compositeData: childData
             });
+            break;
         case 'icon-list':
-            return templates.createIconListWidget({
+            widget = templates.createIconListWidget({
                 ...layer,
                 compositeData: childData
             });
+            break;
         default:
-            return generateContainer(layer);
+            return generateContainer(layer, context);
     }
+
+    templates.applyDirectiveSettings(widget, layer);
+    return trackElement(templates.applySettingOverrides(widget, layer.overrides), layer, context);
+}
+
+/**
+ * Ensure root-level elements are all sections
+ * Widgets at root level are wrapped in an auto-generated one-column section
+ */
+function wrapInSections(layers, context) {
+    const result = [];
+    let widgetBuffer = [];
+
+    for (const layer of layers) {
+        if (layer.visible === false) continue;
+
+        if (isContainerLayer(layer)) {
+            if (widgetBuffer.length > 0) {
+                result.push(createWrapperSection(widgetBuffer, context));
+                widgetBuffer = [];
+            }
+            result.push(generateSection(layer, context, false));
+        } else {
+            // Composite widgets are widgets here, they need a column too
+            widgetBuffer.push(layer);
+        }
+    }
+
+    if (widgetBuffer.length > 0) {
+        result.push(createWrapperSection(widgetBuffer, context));
+    }
+
+    return result;
+}
+
+/**
+ * Create a wrapper section for orphan widgets
+ */
+function createWrapperSection(widgets, context) {
+    return generateSection({
+        id: generateId(),
+        name: 'Auto Section',
+        depth: 0,
+        children: widgets,
+        bounds: mergeLayerBounds(widgets)
+    }, context, false, false);
+}
+
+/**
+ * Generate a section from a container layer
+ * Children laid out in a row become columns sized by their widths,
+ * otherwise the section has a single full-width column
+ * @param {Object} layer - Container layer
+ * @param {Object} context - Layout context
+ * @param {boolean} isInner - Inner section (inside a column)
+ * @param {boolean} track - Record the layer as the section source
+ */
+function generateSection(layer, context, isInner, track = true) {
+    const children = getVisibleChildren(layer);
+    const layout = ContainerLayoutHelper.calculateLayout(children);
+    const columnLayers = layout.direction === 'row' ? children : [];
+    const childContext = { ...context, parent: layer };
+
+    const section = templates.createSection(layer, context, {
+        isInner,
+        layout,
+        columns: Math.max(1, columnLayers.length)
+    });
+    templates.applyDirectiveSettings(section, layer);
+
+    if (columnLayers.length > 0) {
+        const sizes = templates.getColumnSizes(columnLayers);
+        section.elements = columnLayers.map((child, index) => {
+            // A stacked container becomes the column itself (keeping its background and padding)
+            if (isContainerLayer(child) &&
+                ContainerLayoutHelper.calculateLayout(getVisibleChildren(child)).direction !== 'row') {
+                return generateColumn(child, getVisibleChildren(child), sizes[index], { ...childContext, parent: child }, isInner);
+            }
+            return generateColumn(null, [child], sizes[index], childContext, isInner);
+        });
+    } else {
+        section.elements = [generateColumn(null, children, { size: 100, columnSize: 100 }, childContext, isInner)];
+    }
+
+    return trackElement(section, track ? layer : null, context);
+}
+
+/**
+ * Generate a column with its content
+ */
+function generateColumn(layer, contents, width, context, isInner) {
+    const column = templates.createColumn(layer, width, isInner);
+    column.elements = contents.flatMap(child => generateColumnElements(child, context, isInner));
+    return trackElement(column, layer, context);
+}
+
+/**
+ * Generate the column content for a layer
+ * Nested containers become inner sections, deeper levels are flattened into the column
+ */
+function generateColumnElements(layer, context, isInner) {
+    if (layer.isComposite) {
+        return [generateCompositeWidget(layer, context)];
+    }
+
+    if (!isContainerLayer(layer)) {
+        return [generateWidget(layer, context)];
+    }
+
+    if (!isInner) {
+        return [generateSection(layer, context, true)];
+    }
+
+    const childContext = { ...context, parent: layer };
+    return getVisibleChildren(layer).flatMap(child => generateColumnElements(child, childContext, true));
+}
+
+/**
+ * Container layers (groups classified as widgets are generated as that widget)
+ */
+function isContainerLayer(layer) {
+    return !layer.isComposite && layer.widgetType === 'container';
+}
+
+function getVisibleChildren(layer) {
+    return (layer.children || []).filter(child => child.visible !== false);
+}
+
+/**
+ * Merge the bounds of a list of layers
+ */
+function mergeLayerBounds(layers) {
+    const withBounds = layers.filter(layer => layer.bounds && layer.bounds.width > 0);
+    if (withBounds.length === 0) return null;
+    return LayoutRelationshipHelper.mergeBounds(...withBounds.map(layer => layer.bounds));
 }
 
 /**
@@ -202,7 +400,7 @@ function extractCompositeData(children) {
                 data.listItems.push(child.textInfo?.text || child.name);
             }
         } else if (child.widgetType === 'image') {
-            data.imageUrl = ''; // Placeholder - actual URL would come from exported assets
+            data.imageUrl = child.imageAsset?.url || '';
         }
     }
 
@@ -215,7 +413,11 @@ function extractCompositeData(children) {
  * @returns {string} HTML string with syntax highlighting
  */
 export function formatJsonWithHighlighting(json) {
-    const jsonString = JSON.stringify(json, null, 2);
+    // Editor values hold HTML from the PSD text, show it as text
+    const jsonString = JSON.stringify(json, null, 2)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
 
     return jsonString
         .replace(/(".*?"):/g, '<span class="json-key">$1</span>:')
@@ -233,11 +435,20 @@ export function formatJsonWithHighlighting(json) {
 export function downloadJson(json, filename) {
     const jsonString = JSON.stringify(json, null, 2);
     const blob = new Blob([jsonString], { type: 'application/json' });
+    downloadBlob(blob, `${filename}.json`);
+}
+
+/**
+ * Download a blob as file
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Filename including extension
+ */
+export function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
 
     const link = document.createElement('a');
     link.href = url;
-    link.download = `${filename}.json`;
+    link.download = filename;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
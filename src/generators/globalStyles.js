@@ -0,0 +1,318 @@
+/**
+ * Global Styles Generator
+ * Turns the colors and fonts used across templates into Elementor kit globals
+ *
+ * FLOW:
+ * - collectGlobalStyles(templates)  Palette and type scale, near-duplicates merged
+ * - applyGlobalStyles(json, globals) Widgets reference the globals through __globals__
+ * - createSiteSettings(globals)      Kit site settings (system/custom colors and typography)
+ */
+
+import { generateId } from '../parsers/psdParser.js';
+import { ColorHelper } from '../helpers/ColorHelper.js';
+
+/**
+ * Colors closer than this (RGB distance) are the same palette color
+ */
+export const COLOR_MERGE_DISTANCE = 12;
+
+/**
+ * Font sizes within this ratio (or 1px) of each other are the same type scale step
+ */
+export const FONT_SIZE_TOLERANCE = 0.05;
+
+/**
+ * Elementor system slots, and where their values usually come from
+ */
+const SYSTEM_SLOTS = [
+    { id: 'primary', title: 'Primary' },
+    { id: 'secondary', title: 'Secondary' },
+    { id: 'text', title: 'Text' },
+    { id: 'accent', title: 'Accent' }
+];
+
+const COLOR_ROLES = {
+    'heading:title_color': 'primary',
+    'image-box:title_color': 'secondary',
+    'icon-box:title_color': 'secondary',
+    'text-editor:text_color': 'text',
+    'button:background_color': 'accent'
+};
+
+const TYPOGRAPHY_ROLES = {
+    'heading:': 'primary',
+    'image-box:title_': 'secondary',
+    'icon-box:title_': 'secondary',
+    'text-editor:': 'text',
+    'button:': 'accent'
+};
+
+/**
+ * Collect the palette and type scale of one or more templates
+ * @param {Array} templates - Elementor JSON templates
+ * @returns {Object} Globals {colors: [{id, title, color, system, members}], typography: [{id, title, settings, system, members}]}
+ *   (members are the literal values each global stands for)
+ */
+export function collectGlobalStyles(templates) {
+    const colorUses = [];
+    const fontUses = [];
+
+    for (const template of templates) {
+        walkElements(template.content || [], element => {
+            colorUses.push(...findColors(element));
+            fontUses.push(...findTypography(element));
+        });
+    }
+
+    const colorClusters = clusterUses(colorUses, (use, cluster) =>
+        ColorHelper.distance(use.rgb, cluster.rgb) <= COLOR_MERGE_DISTANCE);
+    const fontClusters = clusterUses(fontUses, (use, cluster) =>
+        use.family === cluster.family && use.weight === cluster.weight && use.style === cluster.style &&
+        use.details === cluster.details &&
+        Math.abs(use.size - cluster.size) <= Math.max(1, cluster.size * FONT_SIZE_TOLERANCE));
+
+    assignSystemSlots(colorClusters);
+    assignSystemSlots(fontClusters);
+
+    return {
+        colors: colorClusters.map((cluster, index) => ({
+            id: cluster.system || generateId(),
+            title: getSlotTitle(cluster.system) || `Color ${index + 1}`,
+            color: cluster.value,
+            system: !!cluster.system,
+            members: cluster.members
+        })),
+        typography: fontClusters
+            .sort((a, b) => b.size - a.size)
+            .map(cluster => ({
+                id: cluster.system || generateId(),
+                title: getSlotTitle(cluster.system) || `${cluster.familyName || 'Text'} ${cluster.size}px`,
+                settings: cluster.settings,
+                system: !!cluster.system,
+                members: cluster.members
+            }))
+    };
+}
+
+/**
+ * Replace literal colors and fonts of a template by references to the globals
+ * @param {Object} json - Elementor JSON template (changed in place)
+ * @param {Object} globals - Result of collectGlobalStyles
+ * @returns {Object} The same template
+ */
+export function applyGlobalStyles(json, globals) {
+    if (!globals) return json;
+
+    walkElements(json.content || [], element => {
+        for (const use of findColors(element)) {
+            const global = findGlobal(globals.colors, use.key);
+            if (!global) continue;
+
+            delete element.settings[use.setting];
+            setGlobal(element, use.setting, `globals/colors?id=${global.id}`);
+        }
+
+        for (const use of findTypography(element)) {
+            const global = findGlobal(globals.typography, use.key);
+            if (!global) continue;
+
+            // The global replaces the whole typography group
+            for (const key of Object.keys(element.settings)) {
+                if (key.startsWith(`${use.prefix}typography_`)) delete element.settings[key];
+            }
+            setGlobal(element, `${use.prefix}typography_typography`, `globals/typography?id=${global.id}`);
+        }
+    });
+
+    return json;
+}
+
+/**
+ * Create the kit site settings holding the globals
+ * @param {Object} globals - Result of collectGlobalStyles
+ * @returns {Object} Elementor site-settings.json
+ */
+export function createSiteSettings(globals) {
+    const toColor = global => ({ _id: global.id, title: global.title, color: global.color });
+    const toTypography = global => ({ _id: global.id, title: global.title, ...global.settings });
+
+    return {
+        content: [],
+        settings: {
+            system_colors: globals.colors.filter(global => global.system).map(toColor),
+            custom_colors: globals.colors.filter(global => !global.system).map(toColor),
+            system_typography: globals.typography.filter(global => global.system).map(toTypography),
+            custom_typography: globals.typography.filter(global => !global.system).map(toTypography)
+        },
+        metadata: []
+    };
+}
+
+/**
+ * Text and fill colors of an element
+ * Borders, shadows and gradient stops keep their literal values
+ */
+function findColors(element) {
+    const uses = [];
+
+    for (const [setting, value] of Object.entries(element.settings || {})) {
+        if (!setting.endsWith('_color') || setting.includes('border')) continue;
+
+        const rgb = ColorHelper.parseHex(value);
+        if (!rgb || rgb.a < 1) continue;
+
+        const hex = String(value).toLowerCase();
+        uses.push({
+            setting,
+            key: hex,
+            value: hex,
+            rgb,
+            role: COLOR_ROLES[`${element.widgetType}:${setting}`] || null
+        });
+    }
+
+    return uses;
+}
+
+/**
+ * Custom typography groups of an element (typography_, title_typography_, ...)
+ */
+function findTypography(element) {
+    const settings = element.settings || {};
+    const uses = [];
+
+    for (const [setting, value] of Object.entries(settings)) {
+        if (!setting.endsWith('typography_typography') || value !== 'custom') continue;
+
+        const prefix = setting.slice(0, -'typography_typography'.length);
+        const familyName = settings[`${prefix}typography_font_family`] || '';
+        const size = settings[`${prefix}typography_font_size`]?.size;
+        if (!familyName || !size) continue;
+
+        const family = familyName.toLowerCase();
+        const weight = String(settings[`${prefix}typography_font_weight`] || '400');
+        const style = settings[`${prefix}typography_font_style`] || 'normal';
+        const typography = getTypographySettings(settings, prefix);
+        const details = getTypographyDetails(typography);
+
+        uses.push({
+            prefix,
+            key: `${family}|${weight}|${style}|${size}|${details}`,
+            value: null,
+            family,
+            familyName,
+            weight,
+            style,
+            size,
+            details,
+            settings: typography,
+            role: TYPOGRAPHY_ROLES[`${element.widgetType}:${prefix}`] || null
+        });
+    }
+
+    return uses;
+}
+
+/**
+ * Copy a typography group without its prefix (the shape global typography items use)
+ */
+function getTypographySettings(settings, prefix) {
+    const result = {};
+
+    for (const [key, value] of Object.entries(settings)) {
+        if (key.startsWith(`${prefix}typography_`)) {
+            result[key.slice(prefix.length)] = value;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Everything of a typography group besides the family, weight, style and desktop size:
+ * line height, letter spacing, tablet/mobile sizes... The global replaces the whole group,
+ * so only uses agreeing on all of it can share one
+ * @returns {string} Stable description of those settings
+ */
+function getTypographyDetails(typography) {
+    const ignored = ['typography_typography', 'typography_font_family', 'typography_font_weight',
+        'typography_font_style', 'typography_font_size'];
+
+    return JSON.stringify(Object.keys(typography)
+        .filter(key => !ignored.includes(key))
+        .sort()
+        .map(key => [key, typography[key]]));
+}
+
+/**
+ * Greedy clustering: the most used values seed the clusters, near values join them
+ */
+function clusterUses(uses, isNear) {
+    const variants = new Map();
+    for (const use of uses) {
+        const variant = variants.get(use.key) || { ...use, count: 0, roles: {} };
+        variant.count++;
+        if (use.role) variant.roles[use.role] = (variant.roles[use.role] || 0) + 1;
+        variants.set(use.key, variant);
+    }
+
+    const clusters = [];
+    const sorted = [...variants.values()].sort((a, b) => b.count - a.count);
+
+    for (const variant of sorted) {
+        const cluster = clusters.find(candidate => isNear(variant, candidate));
+
+        if (cluster) {
+            cluster.count += variant.count;
+            cluster.members.push(variant.key);
+            for (const [role, count] of Object.entries(variant.roles)) {
+                cluster.roles[role] = (cluster.roles[role] || 0) + count;
+            }
+        } else {
+            clusters.push({ ...variant, roles: { ...variant.roles }, members: [variant.key], system: null });
+        }
+    }
+
+    return clusters;
+}
+
+/**
+ * Give each system slot the cluster most used in that role,
+ * "secondary" falls back to the most used remaining cluster
+ */
+function assignSystemSlots(clusters) {
+    for (const slot of ['primary', 'text', 'accent', 'secondary']) {
+        const candidates = clusters
+            .filter(cluster => !cluster.system && cluster.roles[slot])
+            .sort((a, b) => b.roles[slot] - a.roles[slot]);
+
+        let cluster = candidates[0];
+        if (!cluster && slot === 'secondary') {
+            cluster = clusters.filter(candidate => !candidate.system).sort((a, b) => b.count - a.count)[0];
+        }
+
+        if (cluster) cluster.system = slot;
+    }
+}
+
+function getSlotTitle(id) {
+    return SYSTEM_SLOTS.find(slot => slot.id === id)?.title || null;
+}
+
+function findGlobal(globals, key) {
+    return globals.find(global => global.members.includes(key)) || null;
+}
+
+function setGlobal(element, setting, reference) {
+    element.settings.__globals__ = {
+        ...(element.settings.__globals__ || {}),
+        [setting]: reference
+    };
+}
+
+function walkElements(elements, callback) {
+    for (const element of elements) {
+        callback(element);
+        walkElements(element.elements || [], callback);
+    }
+}
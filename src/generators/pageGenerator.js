@@ -0,0 +1,53 @@
+/**
+ * Page Generator
+ * Generates the Elementor template of a page, with the responsive settings of its breakpoint artboards
+ * Runs in the conversion worker for new conversions, on the main thread after edits
+ */
+
+import { generateElementorJson } from './elementorGenerator.js';
+import { applyBreakpoints } from './breakpointMerger.js';
+import { Logger } from '../helpers/Logger.js';
+
+/**
+ * Generate the Elementor JSON of a page
+ * @param {Object} page - Page with classified layers and breakpoints
+ * @param {Object} options - Output options
+ * @param {string} options.title - Template title
+ * @param {string} options.layout - 'containers' | 'sections'
+ * @param {Object} options.namingRules - Rules for image-box contents (default: NamingRules.getActive())
+ * @returns {{json: Object, sources: Array}} Template and its element/layer pairs
+ */
+export function generatePage(page, { title, layout, namingRules = null }) {
+    // Breakpoint artboards are generated first, only their element/layer pairs are kept
+    const variants = page.breakpoints.map(breakpoint => {
+        const { sources } = generateElementorJson(breakpoint.classifiedLayers, {
+            fileName: page.fileName,
+            width: breakpoint.width,
+            height: breakpoint.height
+        }, { layout, namingRules });
+        return { device: breakpoint.device, sources };
+    });
+
+    const { template: json, sources } = generateElementorJson(page.classifiedLayers, {
+        fileName: title,
+        width: page.width,
+        height: page.height
+    }, { layout, namingRules });
+
+    if (variants.length > 0) {
+        const stats = applyBreakpoints(sources, variants);
+        Logger.debug('Breakpoints matched:', stats);
+    }
+
+    return { json, sources };
+}
+
+/**
+ * Template title of a page, PSDs with several pages add the page name
+ * @param {Object} page - Page
+ * @param {Array} siblings - Pages of the same PSD
+ * @returns {string} Title
+ */
+export function getPageTitle(page, siblings) {
+    return siblings.length > 1 ? `${page.fileName} - ${page.name}` : page.fileName;
+}
@@ -0,0 +1,346 @@
+/**
+ * Conversion Report Generator
+ * Summarizes what a conversion produced and lists what needs a second look
+ *
+ * ISSUES (one entry per layer and problem, with the layer path):
+ * - ignored         __ignore layers that were skipped
+ * - empty           Layers without size or text
+ * - unconverted     Visible layers that ended up in no element
+ * - placeholder     Images left as placeholders (no exported bitmap)
+ * - font            Fonts substituted or missing from Google Fonts
+ * - effect          Layer effects with no Elementor equivalent
+ * - low-confidence  Classifications to review
+ * - directive       Layer name directives that were ignored
+ */
+
+import { FontHelper } from '../helpers/FontHelper.js';
+import { isLowConfidence } from '../classifiers/layerClassifier.js';
+
+export const ISSUE_TYPES = {
+    'ignored': 'Skipped (__ignore)',
+    'empty': 'Empty layer',
+    'unconverted': 'Not converted',
+    'placeholder': 'Placeholder image',
+    'font': 'Font substituted',
+    'effect': 'Effect not mapped',
+    'low-confidence': 'Low confidence',
+    'directive': 'Directive ignored'
+};
+
+const PLACEHOLDER_HOST = 'placehold.co';
+
+// Widgets built from the contents of their group
+const COMPOSITE_WIDGETS = ['image-box', 'icon-box', 'icon-list'];
+
+/**
+ * Create the conversion report
+ * @param {Object} input - Conversion state
+ * @param {Object} input.psdData - Result of parsePsdBuffer
+ * @param {Array} input.layers - Parsed layers of the converted page (default: the whole PSD)
+ * @param {Array} input.classifiedLayers - Classified tree the template was generated from
+ * @param {Array} input.sources - Element/layer pairs from generateElementorJson()
+ * @returns {import('../index.js').ConversionReport} Report object
+ */
+export function createConversionReport({ psdData, layers = psdData.layers || [], classifiedLayers = [], sources = [] }) {
+    const layerStats = countLayers(layers);
+    const byType = {};
+
+    for (const { element } of sources) {
+        const type = element.widgetType || element.elType;
+        byType[type] = (byType[type] || 0) + 1;
+    }
+
+    const issues = [];
+    const paths = new Map();
+
+    // Root-level __ignore layers belong to the page made of the whole document
+    const rootIgnored = layers === psdData.layers ? psdData.ignoredLayers || [] : [];
+    for (const name of rootIgnored) {
+        addIssue(issues, 'ignored', { path: name }, 'Skipped, the name contains __ignore');
+    }
+
+    addLayerIssues(layers, [], issues, paths);
+    const coverage = addCoverageIssues(layers, classifiedLayers, sources, issues, paths);
+    addPlaceholderIssues(sources, issues, paths);
+    addClassificationIssues(classifiedLayers, [], issues);
+
+    return {
+        fileName: psdData.fileName,
+        generatedAt: new Date().toISOString(),
+        canvas: {
+            width: psdData.width,
+            height: psdData.height
+        },
+        artboards: (psdData.artboards || []).map(artboard => ({
+            name: artboard.name,
+            width: artboard.width,
+            height: artboard.height
+        })),
+        layers: layerStats,
+        elements: {
+            total: sources.length,
+            byType
+        },
+        coverage,
+        assets: (psdData.assets || []).length,
+        fonts: collectFonts(layers),
+        issues,
+        summary: summarizeIssues(issues)
+    };
+}
+
+/**
+ * Fonts used by text layers, with the web font each one became
+ * `googleFont` is false for web-safe and missing fonts, `substituted` when family or weight changed
+ * @param {Array} layers - Parsed layer tree
+ * @returns {Array<import('../index.js').FontUsage>} One entry per font, weight and style
+ */
+export function collectFonts(layers) {
+    return [...addFonts(layers, new Map()).values()];
+}
+
+/**
+ * Count issues per type
+ * @param {Array} issues - Report issues
+ * @returns {Object<string, number>} Only the types that occur
+ */
+export function summarizeIssues(issues) {
+    const summary = {};
+    for (const issue of issues) {
+        summary[issue.type] = (summary[issue.type] || 0) + 1;
+    }
+    return summary;
+}
+
+/**
+ * Render a report as a standalone HTML page
+ * @param {import('../index.js').ConversionReport} report - Report object
+ * @returns {string} HTML document
+ */
+export function createReportHtml(report) {
+    const rows = report.issues.map(issue => `
+      <tr>
+        <td><span class="type type--${issue.type}">${escapeHtml(ISSUE_TYPES[issue.type] || issue.type)}</span></td>
+        <td><code>${escapeHtml(issue.layer)}</code></td>
+        <td>${escapeHtml(issue.message)}</td>
+      </tr>`).join('');
+
+    const summary = Object.entries(report.summary)
+        .map(([type, count]) => `<li>${escapeHtml(ISSUE_TYPES[type] || type)}: <strong>${count}</strong></li>`)
+        .join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Conversion report - ${escapeHtml(report.fileName)}</title>
+  <style>
+    body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+    h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+    .meta { color: #6b7280; margin: 0 0 1.5rem; }
+    ul { padding-left: 1.25rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    th { background: #f9fafb; }
+    code { font-size: 0.85em; }
+    .type { display: inline-block; padding: 0 0.5rem; border-radius: 999px; background: #fef3c7; white-space: nowrap; }
+    .type--ignored, .type--directive { background: #e5e7eb; }
+    .type--low-confidence { background: #fde68a; }
+    .type--unconverted, .type--placeholder { background: #fee2e2; }
+  </style>
+</head>
+<body>
+  <h1>Conversion report - ${escapeHtml(report.fileName)}</h1>
+  <p class="meta">
+    ${report.canvas.width}×${report.canvas.height}px ·
+    ${report.layers.total} layers (${report.layers.hidden} hidden) ·
+    ${report.elements.total} elements ·
+    ${report.coverage.converted}/${report.coverage.layers} visible layers converted (${report.coverage.percent}%) ·
+    ${escapeHtml(report.generatedAt)}
+  </p>
+  ${summary ? `<ul>${summary}</ul>` : '<p>No issues found.</p>'}
+  ${rows ? `<table>
+    <thead><tr><th>Issue</th><th>Layer</th><th>Details</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>` : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Problems found on the parsed layers: __ignore children, empty layers, fonts, effects, directives
+ */
+function addLayerIssues(layers, parentPath, issues, paths) {
+    for (const layer of layers) {
+        const path = [...parentPath, layer.name];
+        const target = { id: layer.id, path: path.join(' / ') };
+        paths.set(layer.id, target.path);
+
+        for (const name of layer.ignoredLayers || []) {
+            addIssue(issues, 'ignored', { path: [...path, name].join(' / ') }, 'Skipped, the name contains __ignore');
+        }
+
+        const { width, height } = layer.bounds || {};
+        if (!(width > 0 && height > 0)) {
+            addIssue(issues, 'empty', target, `Zero-size bounds (${width || 0}×${height || 0})`);
+        } else if (layer.type === 'text' && !layer.textInfo?.text?.trim()) {
+            addIssue(issues, 'empty', target, 'Text layer without text');
+        }
+
+        for (const font of layer.textInfo?.fonts || []) {
+            if (FontHelper.isSubstituted(font)) {
+                addIssue(issues, 'font', target,
+                    `${font.postScriptName || font.originalFamily} ${font.originalWeight} → ${font.family} ${font.weight}`);
+            } else if (font.source === 'missing') {
+                addIssue(issues, 'font', target, `${font.postScriptName || font.originalFamily} is not on Google Fonts`);
+            }
+        }
+
+        for (const effect of layer.unmappedEffects || []) {
+            addIssue(issues, 'effect', target, `${effect[0].toUpperCase()}${effect.slice(1)} is not converted`);
+        }
+
+        for (const warning of layer.directiveWarnings || []) {
+            addIssue(issues, 'directive', target, warning);
+        }
+
+        addLayerIssues(layer.children || [], path, issues, paths);
+    }
+}
+
+/**
+ * Visible layers with content that no element was generated from
+ * Composite widgets cover their children, smart-detected widgets the layers they were built from
+ * and containers the layer detected as their background
+ * @returns {{layers: number, converted: number, percent: number}} Visible content layers and how many were converted
+ */
+function addCoverageIssues(layers, classifiedLayers, sources, issues, paths) {
+    const covered = new Set();
+
+    const cover = (layer, withChildren) => {
+        covered.add(layer.id);
+        (layer.sourceLayerIds || []).forEach(id => covered.add(id));
+        if (layer.background?.layerId) covered.add(layer.background.layerId);
+        if (withChildren || layer.isComposite || COMPOSITE_WIDGETS.includes(layer.widgetType)) {
+            (layer.children || []).forEach(child => cover(child, true));
+        }
+    };
+    sources.forEach(({ layer }) => layer && cover(layer, false));
+
+    // Hidden layers aren't expected in the output
+    const hidden = new Set();
+    const collectHidden = (list) => list.forEach(layer => {
+        if (layer.visible === false) hidden.add(layer.id);
+        collectHidden(layer.children || []);
+    });
+    collectHidden(classifiedLayers);
+
+    const contentLayers = [];
+    const collect = (list) => {
+        for (const layer of list) {
+            if (layer.visible === false || hidden.has(layer.id)) continue;
+            if (layer.children?.length) {
+                collect(layer.children);
+            } else if (layer.bounds?.width > 0 && layer.bounds?.height > 0) {
+                contentLayers.push(layer);
+            }
+        }
+    };
+    collect(layers);
+
+    let converted = 0;
+    for (const layer of contentLayers) {
+        if (covered.has(layer.id)) {
+            converted++;
+        } else {
+            addIssue(issues, 'unconverted', { id: layer.id, path: paths.get(layer.id) || layer.name }, 'Not part of any generated element');
+        }
+    }
+
+    return {
+        layers: contentLayers.length,
+        converted,
+        percent: contentLayers.length > 0 ? Math.round(converted / contentLayers.length * 100) : 100
+    };
+}
+
+/**
+ * Elements pointing at placeholder images instead of exported bitmaps
+ */
+function addPlaceholderIssues(sources, issues, paths) {
+    for (const { element, layer } of sources) {
+        if (!layer) continue;
+
+        for (const [key, value] of Object.entries(element.settings || {})) {
+            if (typeof value?.url === 'string' && value.url.includes(PLACEHOLDER_HOST)) {
+                addIssue(issues, 'placeholder', { id: layer.id, path: paths.get(layer.id) || layer.name },
+                    `${element.widgetType || element.elType} "${key}" uses ${value.url}`);
+            }
+        }
+    }
+}
+
+/**
+ * Classifications below the review threshold
+ */
+function addClassificationIssues(layers, parentPath, issues) {
+    for (const layer of layers) {
+        const path = [...parentPath, layer.name];
+
+        if (isLowConfidence(layer)) {
+            addIssue(issues, 'low-confidence', { id: layer.id, path: path.join(' / ') },
+                `${layer.widgetType} (${Math.round(layer.confidence * 100)}%): ${layer.reason || 'no reason recorded'}`);
+        }
+
+        addClassificationIssues(layer.children || [], path, issues);
+    }
+}
+
+function addIssue(issues, type, { id = null, path }, message) {
+    issues.push({ type, layer: path, layerId: id, message });
+}
+
+function addFonts(layers, fonts) {
+    for (const layer of layers) {
+        for (const font of layer.textInfo?.fonts || []) {
+            const key = `${font.postScriptName}|${font.originalWeight}|${font.style}`;
+            const entry = fonts.get(key) || {
+                postScriptName: font.postScriptName,
+                family: font.originalFamily,
+                weight: font.originalWeight,
+                style: font.style,
+                source: font.source,
+                googleFont: font.source === 'google',
+                substituted: FontHelper.isSubstituted(font),
+                webFont: { family: font.family, weight: font.weight },
+                layers: []
+            };
+
+            entry.layers.push(layer.name);
+            fonts.set(key, entry);
+        }
+
+        addFonts(layer.children || [], fonts);
+    }
+
+    return fonts;
+}
+
+function countLayers(layers, stats = { total: 0, hidden: 0 }) {
+    for (const layer of layers) {
+        stats.total++;
+        if (layer.visible === false) stats.hidden++;
+        countLayers(layer.children || [], stats);
+    }
+    return stats;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -3,6 +3,12 @@
  */
 
 import { generateId } from '../../parsers/psdParser.js';
+import {
+    createBorderRadius,
+    createBorderSettings,
+    createBoxShadowSettings,
+    createOpacitySettings
+} from './styleSettings.js';
 
 /**
  * Create a button widget
@@ -11,6 +17,7 @@ import { generateId } from '../../parsers/psdParser.js';
  */
 export function createButtonWidget(layer) {
     const textInfo = layer.textInfo || {};
+    const style = layer.style || {};
 
     // Try to extract button text from layer name or text
     let buttonText = textInfo.text || layer.name || "Click Here";
@@ -29,21 +36,14 @@ export function createButtonWidget(layer) {
                 size: textInfo.fontSize || 16,
                 sizes: []
             },
-            typography_font_weight: "500",
+            typography_font_weight: String(textInfo.fontWeight || 500),
             typography_text_transform: "uppercase",
             typography_line_height: {
                 unit: "em",
                 size: 1.5,
                 sizes: []
             },
-            border_radius: {
-                unit: "px",
-                top: "8",
-                right: "8",
-                bottom: "8",
-                left: "8",
-                isLinked: true
-            },
+            border_radius: createBorderRadius(style.borderRadius, 8),
             text_padding: {
                 unit: "px",
                 top: "14",
@@ -51,7 +51,10 @@ export function createButtonWidget(layer) {
                 bottom: "14",
                 left: "32",
                 isLinked: false
-            }
+            },
+            ...createBorderSettings(style.border),
+            ...createBoxShadowSettings(style.shadow, 'button_'),
+            ...createOpacitySettings(style.opacity)
         },
         elements: [],
         isInner: false,
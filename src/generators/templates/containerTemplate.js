@@ -5,65 +5,58 @@
 
 import { generateId } from '../../parsers/psdParser.js';
 import { ContainerLayoutHelper } from '../../helpers/ContainerLayoutHelper.js';
+import { LayoutRelationshipHelper } from '../../helpers/LayoutRelationshipHelper.js';
+import { Logger } from '../../helpers/Logger.js';
+import {
+    createBackgroundSettings,
+    createBorderRadius,
+    createBorderSettings,
+    createBoxShadowSettings,
+    createOpacitySettings,
+    resolveStyle
+} from './styleSettings.js';
 
 /**
  * Create a container element
  * @param {Object} layer - Layer data
+ * @param {Object} context - Layout context
+ * @param {Object} context.parent - Parent container layer (none for root sections)
+ * @param {number} context.gridWidth - Boxed content width of root sections
+ * @param {number} context.canvasWidth - PSD canvas width
  * @returns {Object} Elementor container element
  */
-export function createContainer(layer) {
+export function createContainer(layer, context = {}) {
     // Calculate layout based on children positions
     const layout = ContainerLayoutHelper.calculateLayout(layer.children || []);
+    const style = resolveStyle(layer);
+    const padding = ContainerLayoutHelper.calculatePadding(layer.bounds, layer.children);
+
+    // Note: adjusts the horizontal padding of root sections to the grid
+    const sizeSettings = createSizeSettings(layer, context, padding);
 
     // console.clear();
-    console.log("Container Layout:", layout);
+    Logger.debug("Container Layout:", layout);
 
     return {
         id: generateId(),
         settings: {
             flex_direction: layout.direction,
-            boxed_width: {
-                unit: "px",
-                size: 1170,
-                sizes: []
-            },
+            ...sizeSettings,
             flex_direction_mobile: "column",
             flex_justify_content: layout.justifyContent,
             flex_align_items: layout.alignItems,
             flex_align_items_mobile: "center",
-            flex_gap: {
-                column: "20",
-                row: "20",
-                isLinked: true,
-                unit: "px",
-                size: 20
-            },
+            flex_gap: createGap(layout),
             flex_wrap: layout.wrap,
             flex_align_content: "flex-start",
-            padding: {
-                unit: "px",
-                top: "100", // Default to 0 and let gap handle spacing
-                right: "20",
-                bottom: "100",
-                left: "20",
-                isLinked: true
-            },
-            padding_tablet: {
-                unit: "px",
-                top: "70",
-                right: "20",
-                bottom: "70",
-                left: "20",
-                isLinked: true
-            },
-            padding_mobile: {
-                unit: "px",
-                top: "40",
-                right: "20",
-                bottom: "40",
-                left: "20",
-                isLinked: true
-            }
+            padding: createPadding(padding),
+            padding_tablet: createPadding(scalePadding(padding, 0.7)),
+            padding_mobile: createPadding(scalePadding(padding, 0.4)),
+            ...createBackgroundSettings(layer.background),
+            ...createBorderSettings(style.border),
+            ...(style.borderRadius ? { border_radius: createBorderRadius(style.borderRadius) } : {}),
+            ...createBoxShadowSettings(style.shadow),
+            ...createOpacitySettings(style.opacity)
         },
         elements: [],
         isInner: layer.depth > 0,
@@ -71,6 +64,146 @@ export function createContainer(layer) {
     };
 }
 
+/**
+ * Size settings: root sections are boxed to the design grid,
+ * inner containers in a row take their share of the parent width
+ */
+function createSizeSettings(layer, context, padding) {
+    const bounds = layer.bounds;
+
+    if (!context.parent) {
+        const gridWidth = getBoxedWidth(layer, context);
+        if (!gridWidth) return {};
+
+        const boxedWidth = alignPaddingToGrid(bounds, context, padding, gridWidth, hasBoxedWidthDirective(layer));
+
+        return {
+            content_width: "boxed",
+            boxed_width: {
+                unit: "px",
+                size: boxedWidth,
+                sizes: []
+            }
+        };
+    }
+
+    const siblings = ContainerLayoutHelper.getVisibleChildren(context.parent.children || []);
+    const parentLayout = ContainerLayoutHelper.calculateLayout(siblings);
+
+    if (parentLayout.direction !== "row" || !bounds || bounds.width <= 0) {
+        return { content_width: "full" };
+    }
+
+    const parentContentWidth = LayoutRelationshipHelper.mergeBounds(...siblings.map(s => s.bounds)).width;
+
+    return {
+        content_width: "full",
+        width: {
+            unit: "%",
+            size: Math.min(100, Math.round(bounds.width / parentContentWidth * 1000) / 10),
+            sizes: []
+        }
+    };
+}
+
+/**
+ * Content width a root section is boxed to: a "boxed=<px>" directive wins over the detected grid,
+ * a "full" directive leaves the section unboxed
+ * @param {Object} layer - Root section layer with its parsed directives
+ * @param {Object} context - Layout context (gridWidth)
+ * @returns {number|null} Boxed width in px, null when the section isn't boxed to a width
+ */
+export function getBoxedWidth(layer, context) {
+    const directives = layer.directives || {};
+
+    if (directives.full) return null;
+    if (hasBoxedWidthDirective(layer)) return directives.boxed;
+
+    return context.gridWidth || null;
+}
+
+/**
+ * Whether a "boxed=<px>" directive sets the boxed width of a section
+ * @param {Object} layer - Section layer with its parsed directives
+ * @returns {boolean}
+ */
+export function hasBoxedWidthDirective(layer) {
+    return typeof layer.directives?.boxed === 'number' && !layer.directives.full;
+}
+
+/**
+ * Horizontal padding of a root section is whatever lies between the centered grid column and the content
+ * Content reaching outside the column widens it evenly on both sides, so it keeps its place in the design.
+ * A width set by a "boxed=<px>" directive is kept as written
+ * @param {Object} bounds - Section bounds
+ * @param {Object} context - Layout context (gridWidth, canvasWidth)
+ * @param {Object} padding - Measured padding, left/right are adjusted in place
+ * @param {number} gridWidth - Width of the grid column (defaults to the detected grid)
+ * @param {boolean} fixed - Keep the column width even when the content reaches outside it
+ * @returns {number} Width of the column the padding is aligned to
+ */
+export function alignPaddingToGrid(bounds, context, padding, gridWidth = context.gridWidth, fixed = false) {
+    if (!gridWidth || !bounds || bounds.width <= 0) return gridWidth;
+
+    const canvasWidth = context.canvasWidth || bounds.left + bounds.right;
+    const center = canvasWidth / 2;
+    const contentLeft = bounds.left + padding.left;
+    const contentRight = bounds.right - padding.right;
+
+    const width = fixed
+        ? gridWidth
+        : Math.max(gridWidth, Math.ceil(2 * Math.max(center - contentLeft, contentRight - center)));
+    const gridLeft = center - width / 2;
+
+    padding.left = Math.max(0, Math.round(contentLeft - gridLeft));
+    padding.right = Math.max(0, Math.round(gridLeft + width - contentRight));
+
+    return width;
+}
+
+/**
+ * Create flex gap settings from the measured spacing
+ */
+function createGap(layout) {
+    const column = Math.round(layout.gap);
+    const row = Math.round(layout.rowGap ?? layout.gap);
+
+    return {
+        column: String(column),
+        row: String(row),
+        isLinked: column === row,
+        unit: "px",
+        size: column
+    };
+}
+
+/**
+ * Create a padding dimensions value
+ */
+export function createPadding({ top, right, bottom, left }) {
+    return {
+        unit: "px",
+        top: String(top),
+        right: String(right),
+        bottom: String(bottom),
+        left: String(left),
+        isLinked: top === right && top === bottom && top === left
+    };
+}
+
+/**
+ * Scale desktop padding down for smaller breakpoints
+ * Horizontal padding is capped so content keeps room on narrow screens
+ */
+export function scalePadding(padding, factor) {
+    return {
+        top: Math.round(padding.top * factor),
+        right: Math.min(padding.right, 20),
+        bottom: Math.round(padding.bottom * factor),
+        left: Math.min(padding.left, 20)
+    };
+}
+
 /**
  * Create an empty container (for single layers classified as container)
  */
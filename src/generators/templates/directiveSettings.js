@@ -0,0 +1,132 @@
+/**
+ * Directive Settings
+ * Applies the directives written in layer names ("btn_signup [link=/register]") to generated elements
+ * Heading levels are picked by HeadingLevelHelper, inspector overrides are applied afterwards
+ */
+
+import { Logger } from '../../helpers/Logger.js';
+import { applySettingOverrides, getOverridableFields } from './overrideSettings.js';
+
+/**
+ * Apply layer directives to a generated element
+ * @param {Object} element - Elementor element
+ * @param {Object} layer - Source layer with its parsed directives (LayerDirectiveHelper)
+ * @returns {Object} The same element
+ */
+export function applyDirectiveSettings(element, layer) {
+    const directives = layer.directives;
+    if (!directives) return element;
+
+    switch (element.elType) {
+        case 'container':
+            applyContainerDirectives(element.settings, directives, layer);
+            break;
+        case 'section':
+            applySectionDirectives(element.settings, directives, layer);
+            break;
+        case 'widget':
+            applyWidgetDirectives(element, directives, layer);
+            break;
+    }
+
+    return element;
+}
+
+function applyWidgetDirectives(element, directives, layer) {
+    const fields = getOverridableFields(element.widgetType);
+    const overrides = {};
+
+    if (directives.link !== undefined) {
+        if (fields.includes('link')) overrides.link = directives.link;
+        else warnUnsupported(layer, 'link', element.widgetType);
+    }
+    if (directives.align !== undefined) {
+        if (fields.includes('alignment')) overrides.alignment = directives.align;
+        else warnUnsupported(layer, 'align', element.widgetType);
+    }
+
+    applySettingOverrides(element, overrides);
+
+    if (directives.width === 'auto') {
+        element.settings._element_width = "auto";
+
+        // Images drop the size taken from the layer and render at their natural size
+        if (element.widgetType === 'image') {
+            delete element.settings.width;
+            delete element.settings.height;
+            delete element.settings['object-fit'];
+        }
+    } else if (directives.width) {
+        element.settings._element_width = "initial";
+        element.settings._element_custom_width = { ...directives.width, sizes: [] };
+    }
+
+    for (const key of ['boxed', 'full', 'gap']) {
+        if (directives[key] !== undefined) warnUnsupported(layer, key, element.widgetType);
+    }
+}
+
+function applyContainerDirectives(settings, directives, layer) {
+    if (directives.full) {
+        settings.content_width = "full";
+        delete settings.boxed_width;
+    } else if (directives.boxed) {
+        settings.content_width = "boxed";
+        if (directives.boxed !== true) {
+            settings.boxed_width = { unit: "px", size: directives.boxed, sizes: [] };
+        }
+    }
+
+    if (directives.gap !== undefined) {
+        settings.flex_gap = {
+            column: String(directives.gap),
+            row: String(directives.gap),
+            isLinked: true,
+            unit: "px",
+            size: directives.gap
+        };
+    }
+
+    if (directives.width === 'auto') {
+        warnUnsupported(layer, 'width=auto', 'container');
+    } else if (directives.width) {
+        settings.width = { ...directives.width, sizes: [] };
+    }
+
+    warnNotWidget(layer, directives, 'container');
+}
+
+function applySectionDirectives(settings, directives, layer) {
+    if (directives.full) {
+        settings.layout = "full_width";
+        delete settings.content_width;
+    } else if (directives.boxed) {
+        settings.layout = "boxed";
+        if (directives.boxed !== true) {
+            settings.content_width = { unit: "px", size: directives.boxed, sizes: [] };
+        }
+    }
+
+    // Elementor pads every column by the custom gap, so half the spacing
+    if (directives.gap !== undefined) {
+        settings.gap = "custom";
+        settings.gap_columns_custom = { unit: "px", size: Math.round(directives.gap / 2), sizes: [] };
+    }
+
+    if (directives.width !== undefined) warnUnsupported(layer, 'width', 'section');
+
+    warnNotWidget(layer, directives, 'section');
+}
+
+/**
+ * Widget-only directives on a layout element
+ */
+function warnNotWidget(layer, directives, elType) {
+    for (const key of ['link', 'align']) {
+        if (directives[key] !== undefined) warnUnsupported(layer, key, elType);
+    }
+}
+
+function warnUnsupported(layer, directive, type) {
+    Logger.warn(`Layer "${layer.name}": "${directive}" doesn't apply to ${type} elements, ignored`);
+}
@@ -0,0 +1,76 @@
+/**
+ * Divider Widget Template
+ */
+
+import { generateId } from '../../parsers/psdParser.js';
+import { LayoutRelationshipHelper } from '../../helpers/LayoutRelationshipHelper.js';
+import { createOpacitySettings } from './styleSettings.js';
+
+/**
+ * Create a divider widget
+ * Filled lines take their thickness from the bounds, stroked lines from the stroke
+ * @param {Object} layer - Layer data with bounds, fill and style
+ * @param {Object} context - Layout context (parent, canvasWidth)
+ * @returns {Object} Elementor divider widget
+ */
+export function createDividerWidget(layer, context = {}) {
+    const bounds = layer.bounds || {};
+    const style = layer.style || {};
+    const stroke = layer.fill ? null : style.border;
+
+    return {
+        id: generateId(),
+        settings: {
+            style: stroke?.style || "solid",
+            weight: {
+                unit: "px",
+                size: stroke?.width || bounds.height || 1,
+                sizes: []
+            },
+            color: getDividerColor(layer),
+            width: {
+                unit: "px",
+                size: bounds.width || 100,
+                sizes: []
+            },
+            align: getDividerAlign(bounds, context),
+            gap: {
+                unit: "px",
+                size: 0,
+                sizes: []
+            },
+            ...createOpacitySettings(style.opacity)
+        },
+        elements: [],
+        isInner: false,
+        widgetType: "divider",
+        elType: "widget"
+    };
+}
+
+/**
+ * Line alignment from its position in the parent container (the canvas for root lines)
+ * @param {Object} bounds - Line bounds
+ * @param {Object} context - Layout context (parent, canvasWidth)
+ * @returns {string} left | center | right
+ */
+function getDividerAlign(bounds, context) {
+    const parentBounds = context.parent?.bounds || (context.canvasWidth ? { left: 0, right: context.canvasWidth } : null);
+    if (!parentBounds || bounds.left === undefined) return "center";
+
+    return LayoutRelationshipHelper.getHorizontalAlignment(bounds, parentBounds);
+}
+
+/**
+ * Line color: the fill (first gradient stop), else the stroke
+ * @param {Object} layer - Layer data
+ * @returns {string} CSS color
+ */
+export function getDividerColor(layer) {
+    const fill = layer.fill;
+
+    if (fill?.type === 'solid') return fill.color;
+    if (fill?.type === 'gradient' && fill.stops?.length) return fill.stops[0].color;
+
+    return layer.style?.border?.color || "#000000";
+}
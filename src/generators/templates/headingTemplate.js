@@ -3,19 +3,22 @@
  */
 
 import { generateId } from '../../parsers/psdParser.js';
+import { createOpacitySettings } from './styleSettings.js';
 
 /**
  * Create a heading widget
  * @param {Object} layer - Layer data with textInfo
+ * @param {number} level - Heading level 1-6 (HeadingLevelHelper)
  * @returns {Object} Elementor heading widget
  */
-export function createHeadingWidget(layer) {
+export function createHeadingWidget(layer, level = 2) {
     const textInfo = layer.textInfo || {};
 
     return {
         id: generateId(),
         settings: {
             title: textInfo.text || layer.name || "Heading",
+            header_size: `h${level}`,
             align: textInfo.alignment || "center",
             typography_typography: "custom",
             typography_font_family: textInfo.fontFamily || "Poppins",
@@ -26,7 +29,7 @@ export function createHeadingWidget(layer) {
             },
             typography_font_weight: getFontWeight(textInfo.fontWeight) || "700",
             typography_text_transform: "none",
-            typography_font_style: "normal",
+            typography_font_style: textInfo.fontStyle || "normal",
             typography_text_decoration: "none",
             typography_line_height: {
                 unit: "em",
@@ -38,7 +41,8 @@ export function createHeadingWidget(layer) {
                 size: 0,
                 sizes: []
             },
-            title_color: textInfo.color || "#333333"
+            title_color: textInfo.color || "#333333",
+            ...createOpacitySettings(layer.style?.opacity)
         },
         elements: [],
         isInner: false,
@@ -48,7 +52,7 @@ export function createHeadingWidget(layer) {
 }
 
 /**
- * Convert font weight string to Elementor weight value
+ * Convert a font weight (name or 100-900) to Elementor weight value
  */
 function getFontWeight(weight) {
     const weights = {
@@ -61,5 +65,5 @@ function getFontWeight(weight) {
         'extrabold': '800',
         'black': '900'
     };
-    return weights[weight?.toLowerCase()] || weight || '700';
+    return weights[String(weight).toLowerCase()] || (weight ? String(weight) : '700');
 }
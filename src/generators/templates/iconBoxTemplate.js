@@ -4,6 +4,13 @@
  */
 
 import { generateId } from '../../parsers/psdParser.js';
+import {
+    createBorderRadius,
+    createBorderSettings,
+    createBoxShadowSettings,
+    createOpacitySettings,
+    resolveStyle
+} from './styleSettings.js';
 
 /**
  * Create an icon box widget
@@ -13,6 +20,7 @@ import { generateId } from '../../parsers/psdParser.js';
 export function createIconBoxWidget(layer) {
     const data = layer.compositeData || {};
     const textInfo = layer.textInfo || {};
+    const style = resolveStyle(layer);
 
     return {
         id: generateId(),
@@ -52,7 +60,11 @@ export function createIconBoxWidget(layer) {
                 unit: "em",
                 size: 1.7,
                 sizes: []
-            }
+            },
+            ...createBorderSettings(style.border, '_'),
+            ...(style.borderRadius ? { _border_radius: createBorderRadius(style.borderRadius) } : {}),
+            ...createBoxShadowSettings(style.shadow, '_'),
+            ...createOpacitySettings(style.opacity)
         },
         elements: [],
         isInner: false,
@@ -4,6 +4,13 @@
  */
 
 import { generateId } from '../../parsers/psdParser.js';
+import {
+    createBorderRadius,
+    createBorderSettings,
+    createBoxShadowSettings,
+    createOpacitySettings,
+    resolveStyle
+} from './styleSettings.js';
 
 /**
  * Create an icon list widget
@@ -12,6 +19,7 @@ import { generateId } from '../../parsers/psdParser.js';
  */
 export function createIconListWidget(layer) {
     const data = layer.compositeData || {};
+    const style = resolveStyle(layer);
 
     // Build list items from composite data or defaults
     const items = data.listItems && data.listItems.length > 0
@@ -67,7 +75,11 @@ export function createIconListWidget(layer) {
                 bottom: "10",
                 left: "10",
                 isLinked: true
-            }
+            },
+            ...createBorderSettings(style.border, '_'),
+            ...(style.borderRadius ? { _border_radius: createBorderRadius(style.borderRadius) } : {}),
+            ...createBoxShadowSettings(style.shadow, '_'),
+            ...createOpacitySettings(style.opacity)
         },
         elements: [],
         isInner: false,
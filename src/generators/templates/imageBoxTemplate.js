@@ -4,6 +4,13 @@
  */
 
 import { generateId } from '../../parsers/psdParser.js';
+import {
+    createBorderRadius,
+    createBorderSettings,
+    createBoxShadowSettings,
+    createOpacitySettings,
+    resolveStyle
+} from './styleSettings.js';
 import ImageBoxContentClassifier from '../../classifiers/classifyImageBoxChildren.js';
 import { LayoutRelationshipHelper } from '../../helpers/LayoutRelationshipHelper.js';
 import { LayoutDistanceHelper } from '../../helpers/LayoutDistanceHelper.js';
@@ -13,24 +20,26 @@ import { LayoutDistanceHelper } from '../../helpers/LayoutDistanceHelper.js';
 /**
  * Create an image box widget
  * @param {Object} layer - Layer data with compositeData
+ * @param {import('../../classifiers/NamingRules.js').NamingRules|null} namingRules - Rules matching the image, heading and description
+ *   (default: NamingRules.getActive())
  * @returns {Object} Elementor image-box widget
  */
-
-const imageBoxClassifier = new ImageBoxContentClassifier({
-    headingFontSize: 18
-});
-
-export function createImageBoxWidget(layer) {
+export function createImageBoxWidget(layer, namingRules = null) {
     const data = layer.compositeData || {};
     const textInfo = layer.textInfo || {};
+    const style = resolveStyle(layer);
 
     //  console.log("Generating Image Box Widget [createImageBoxWidget]:", layer);
 
+    const imageBoxClassifier = new ImageBoxContentClassifier({
+        headingFontSize: 18,
+        namingRules
+    });
     const imageBoxElements = imageBoxClassifier.classify(layer.children || []);
 
     // Null safety: provide default bounds if elements are missing
     const defaultBounds = { top: 0, left: 0, right: 100, bottom: 100, width: 100, height: 100 };
-    const defaultTextInfo = { text: '', fontSize: 16, fontFamily: 'Inter', fontWeight: 'normal', lineHeight: 1.5, alignment: 'left' };
+    const defaultTextInfo = { text: '', fontSize: 16, fontFamily: 'Inter', fontWeight: 400, lineHeight: 1.5, alignment: 'left' };
 
     const imageBounds = imageBoxElements.image?.bounds || defaultBounds;
     const headingBounds = imageBoxElements.heading?.bounds || defaultBounds;
@@ -64,7 +73,7 @@ export function createImageBoxWidget(layer) {
         id: generateId(),
         settings: {
             image: {
-                url: data.imageUrl || "https://placehold.co/600x400",
+                url: imageBoxElements.image?.imageAsset?.url || data.imageUrl || "https://placehold.co/600x400",
                 id: "",
                 size: "",
                 alt: "",
@@ -98,7 +107,7 @@ export function createImageBoxWidget(layer) {
                 size: headingTextInfo.fontSize || 24,
                 sizes: []
             },
-            title_typography_font_weight: headingTextInfo.fontWeight || "bold",
+            title_typography_font_weight: String(headingTextInfo.fontWeight || 700),
             title_typography_line_height: {
                 unit: "em",
                 size: headingTextInfo.lineHeight || 1.5,
@@ -111,7 +120,7 @@ export function createImageBoxWidget(layer) {
                 size: descriptionTextInfo.fontSize || 16,
                 sizes: []
             },
-            description_typography_font_weight: descriptionTextInfo.fontWeight || "normal",
+            description_typography_font_weight: String(descriptionTextInfo.fontWeight || 400),
             description_typography_line_height: {
                 unit: "em",
                 size: descriptionTextInfo.lineHeight || 1.6,
@@ -141,7 +150,11 @@ export function createImageBoxWidget(layer) {
                 bottom: "0",
                 left: "0",
                 isLinked: true
-            }
+            },
+            ...createBorderSettings(style.border, '_'),
+            ...(style.borderRadius ? { _border_radius: createBorderRadius(style.borderRadius) } : {}),
+            ...createBoxShadowSettings(style.shadow, '_'),
+            ...createOpacitySettings(style.opacity)
         },
         elements: [],
         isInner: false,
@@ -3,6 +3,12 @@
  */
 
 import { generateId } from '../../parsers/psdParser.js';
+import {
+    createBorderRadius,
+    createBorderSettings,
+    createBoxShadowSettings,
+    createOpacitySettings
+} from './styleSettings.js';
 
 /**
  * Create an image widget
@@ -11,12 +17,13 @@ import { generateId } from '../../parsers/psdParser.js';
  */
 export function createImageWidget(layer) {
     const bounds = layer.bounds || {};
+    const style = layer.style || {};
 
     return {
         id: generateId(),
         settings: {
             image: {
-                url: "https://placehold.co/600x400",
+                url: layer.imageAsset?.url || "https://placehold.co/600x400",
                 id: "",
                 size: "",
                 alt: layer.name || "Image",
@@ -34,14 +41,10 @@ export function createImageWidget(layer) {
                 sizes: []
             },
             "object-fit": "cover",
-            image_border_radius: {
-                unit: "px",
-                top: "8",
-                right: "8",
-                bottom: "8",
-                left: "8",
-                isLinked: true
-            }
+            image_border_radius: createBorderRadius(style.borderRadius, 8),
+            ...createBorderSettings(style.border, 'image_'),
+            ...createBoxShadowSettings(style.shadow, 'image_'),
+            ...createOpacitySettings(style.opacity)
         },
         elements: [],
         isInner: false,
@@ -4,6 +4,7 @@
  */
 
 export { createContainer, createEmptyContainer } from './containerTemplate.js';
+export { createSection, createColumn, getColumnSizes } from './sectionTemplate.js';
 export { createHeadingWidget } from './headingTemplate.js';
 export { createTextWidget } from './textTemplate.js';
 export { createButtonWidget } from './buttonTemplate.js';
@@ -11,3 +12,7 @@ export { createImageWidget } from './imageTemplate.js';
 export { createImageBoxWidget } from './imageBoxTemplate.js';
 export { createIconBoxWidget } from './iconBoxTemplate.js';
 export { createIconListWidget } from './iconListTemplate.js';
+export { createDividerWidget, getDividerColor } from './dividerTemplate.js';
+export { createSpacerWidget } from './spacerTemplate.js';
+export { applySettingOverrides, getOverridableFields } from './overrideSettings.js';
+export { applyDirectiveSettings } from './directiveSettings.js';
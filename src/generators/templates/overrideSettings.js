@@ -0,0 +1,124 @@
+/**
+ * Setting Overrides
+ * Applies per-layer edits from the inspector on top of generated widgets
+ */
+
+/**
+ * Setting key each editable field maps to, per widget type
+ */
+export const OVERRIDE_FIELDS = {
+    'heading': {
+        text: 'title',
+        color: 'title_color',
+        fontSize: 'typography_font_size',
+        alignment: 'align',
+        link: 'link'
+    },
+    'text-editor': {
+        text: 'editor',
+        color: 'text_color',
+        fontSize: 'typography_font_size',
+        alignment: 'align'
+    },
+    'button': {
+        text: 'text',
+        color: 'button_text_color',
+        fontSize: 'typography_font_size',
+        alignment: 'align',
+        link: 'link'
+    },
+    'image': {
+        alignment: 'align',
+        link: 'link'
+    },
+    'image-box': {
+        text: 'title_text',
+        color: 'title_color',
+        fontSize: 'title_typography_font_size',
+        alignment: 'text_align',
+        link: 'link'
+    },
+    'icon-box': {
+        text: 'title_text',
+        color: 'title_color',
+        fontSize: 'title_typography_font_size',
+        alignment: 'text_align',
+        link: 'link'
+    },
+    'divider': {
+        color: 'color',
+        alignment: 'align'
+    }
+};
+
+/**
+ * Get the fields that can be overridden for a widget type
+ * @param {string} widgetType - Elementor widget type
+ * @returns {Array} Field names (text, color, fontSize, alignment, link)
+ */
+export function getOverridableFields(widgetType) {
+    return Object.keys(OVERRIDE_FIELDS[widgetType] || {});
+}
+
+/**
+ * Apply layer overrides to a generated widget
+ * @param {Object} element - Elementor element
+ * @param {Object} overrides - {text, color, fontSize, alignment, link}
+ * @returns {Object} The same element
+ */
+export function applySettingOverrides(element, overrides) {
+    const fields = OVERRIDE_FIELDS[element.widgetType];
+    if (!overrides || !fields) return element;
+
+    for (const [field, value] of Object.entries(overrides)) {
+        const key = fields[field];
+        if (!key || value === undefined || value === null || value === '') continue;
+
+        element.settings[key] = formatValue(field, value, element.widgetType);
+
+        // Images only follow custom links
+        if (field === 'link' && element.widgetType === 'image') {
+            element.settings.link_to = "custom";
+        }
+    }
+
+    return element;
+}
+
+/**
+ * Format an override value the way the setting expects it
+ */
+function formatValue(field, value, widgetType) {
+    switch (field) {
+        case 'fontSize':
+            return {
+                unit: "px",
+                size: Number(value),
+                sizes: []
+            };
+        case 'link':
+            return {
+                url: value,
+                is_external: "",
+                nofollow: "",
+                custom_attributes: ""
+            };
+        case 'text':
+            return widgetType === 'text-editor' ? toParagraphs(value) : value;
+        default:
+            return value;
+    }
+}
+
+function toParagraphs(text) {
+    return String(text)
+        .split(/\r?\n/)
+        .map(line => {
+            const escaped = line
+                .replace(/&/g, "&amp;")
+                .replace(/</g, "&lt;")
+                .replace(/>/g, "&gt;");
+            return `<p>${escaped || "&nbsp;"}</p>`;
+        })
+        .join("");
+}
@@ -0,0 +1,151 @@
+/**
+ * Section / Column Templates
+ * Legacy layout elements for sites without the Flexbox Container experiment
+ *
+ * STRUCTURE:
+ * - section (root)  -> columns
+ * - column          -> widgets or inner sections
+ * - inner section   -> columns holding widgets only
+ */
+
+import { generateId } from '../../parsers/psdParser.js';
+import { ContainerLayoutHelper } from '../../helpers/ContainerLayoutHelper.js';
+import { alignPaddingToGrid, createPadding, getBoxedWidth, hasBoxedWidthDirective, scalePadding } from './containerTemplate.js';
+import {
+    createBackgroundSettings,
+    createBorderRadius,
+    createBorderSettings,
+    createBoxShadowSettings,
+    createOpacitySettings,
+    resolveStyle
+} from './styleSettings.js';
+
+/**
+ * Create a section element
+ * @param {Object} layer - Container layer
+ * @param {Object} context - Layout context (parent, gridWidth, canvasWidth)
+ * @param {Object} options - Section options
+ * @param {boolean} options.isInner - Inner section (inside a column)
+ * @param {Object} options.layout - Layout of the section children (ContainerLayoutHelper.calculateLayout)
+ * @param {number} options.columns - Number of columns
+ * @returns {Object} Elementor section element
+ */
+export function createSection(layer, context, { isInner, layout, columns }) {
+    const padding = ContainerLayoutHelper.calculatePadding(layer.bounds, layer.children);
+
+    // Root sections are boxed to the design grid, like root containers
+    const widthSettings = {};
+    const gridWidth = isInner ? null : getBoxedWidth(layer, context);
+    if (gridWidth) {
+        const boxedWidth = alignPaddingToGrid(layer.bounds, context, padding, gridWidth, hasBoxedWidthDirective(layer));
+        widthSettings.layout = "boxed";
+        widthSettings.content_width = {
+            unit: "px",
+            size: boxedWidth,
+            sizes: []
+        };
+    }
+
+    return {
+        id: generateId(),
+        settings: {
+            ...widthSettings,
+            ...(columns > 1 && columns <= 6 ? { structure: String(columns * 10) } : {}),
+            ...createColumnGap(layout),
+            ...createBoxSettings(layer, padding)
+        },
+        elements: [],
+        isInner,
+        elType: "section"
+    };
+}
+
+/**
+ * Create a column element
+ * @param {Object|null} layer - Container layer the column was made from (null for plain columns)
+ * @param {Object} width - Column width from getColumnSizes {size, columnSize}
+ * @param {boolean} isInner - Column of an inner section
+ * @returns {Object} Elementor column element
+ */
+export function createColumn(layer, { size, columnSize }, isInner) {
+    const boxSettings = layer
+        ? createBoxSettings(layer, ContainerLayoutHelper.calculatePadding(layer.bounds, layer.children))
+        : {};
+
+    return {
+        id: generateId(),
+        settings: {
+            _column_size: columnSize,
+            _inline_size: columnSize >= 100 ? null : Math.round(size * 1000) / 1000,
+            ...boxSettings
+        },
+        elements: [],
+        isInner,
+        elType: "column"
+    };
+}
+
+/**
+ * Split 100% between columns according to their design widths
+ * `_column_size` values are whole numbers that always add up to 100
+ * @param {Array} layers - Column source layers
+ * @returns {Array<{size: number, columnSize: number}>} Exact and rounded sizes
+ */
+export function getColumnSizes(layers) {
+    const widths = layers.map(layer => Math.max(0, layer.bounds?.width || 0));
+    const total = widths.reduce((sum, width) => sum + width, 0);
+    const sizes = widths.map(width => total > 0 ? width / total * 100 : 100 / layers.length);
+
+    // Largest remainder rounding
+    const columnSizes = sizes.map(Math.floor);
+    let missing = 100 - columnSizes.reduce((sum, size) => sum + size, 0);
+    const byRemainder = sizes
+        .map((size, index) => ({ index, remainder: size - Math.floor(size) }))
+        .sort((a, b) => b.remainder - a.remainder);
+
+    for (const { index } of byRemainder) {
+        if (missing <= 0) break;
+        columnSizes[index]++;
+        missing--;
+    }
+
+    return sizes.map((size, index) => ({ size, columnSize: columnSizes[index] }));
+}
+
+/**
+ * Column gap: Elementor pads every column by the custom gap, so half the measured spacing
+ */
+function createColumnGap(layout) {
+    const gap = layout.direction === "row" ? Math.round(layout.gap / 2) : 0;
+
+    if (gap <= 0) {
+        return { gap: "no" };
+    }
+
+    return {
+        gap: "custom",
+        gap_columns_custom: {
+            unit: "px",
+            size: gap,
+            sizes: []
+        }
+    };
+}
+
+/**
+ * Padding, background, border, shadow and opacity shared by sections and columns
+ */
+function createBoxSettings(layer, padding) {
+    const style = resolveStyle(layer);
+
+    return {
+        padding: createPadding(padding),
+        padding_tablet: createPadding(scalePadding(padding, 0.7)),
+        padding_mobile: createPadding(scalePadding(padding, 0.4)),
+        ...createBackgroundSettings(layer.background),
+        ...createBorderSettings(style.border),
+        ...(style.borderRadius ? { border_radius: createBorderRadius(style.borderRadius) } : {}),
+        ...createBoxShadowSettings(style.shadow),
+        ...createOpacitySettings(style.opacity)
+    };
+}
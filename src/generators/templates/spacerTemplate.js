@@ -0,0 +1,29 @@
+/**
+ * Spacer Widget Template
+ */
+
+import { generateId } from '../../parsers/psdParser.js';
+
+/**
+ * Create a spacer widget as tall as the layer
+ * @param {Object} layer - Layer data with bounds
+ * @returns {Object} Elementor spacer widget
+ */
+export function createSpacerWidget(layer) {
+    const bounds = layer.bounds || {};
+
+    return {
+        id: generateId(),
+        settings: {
+            space: {
+                unit: "px",
+                size: bounds.height || 50,
+                sizes: []
+            }
+        },
+        elements: [],
+        isInner: false,
+        widgetType: "spacer",
+        elType: "widget"
+    };
+}
@@ -0,0 +1,155 @@
+/**
+ * Shared Style Settings
+ * Builds Elementor style setting groups reused across templates
+ */
+
+const PLACEHOLDER_IMAGE = "https://placehold.co/1920x1080";
+
+/**
+ * Create background settings from a detected background
+ * @param {Object} background - Background from BackgroundDetectionHelper.toBackground
+ * @param {string} prefix - Setting prefix ('' for containers, '_' for widgets)
+ * @returns {Object} Elementor background settings
+ */
+export function createBackgroundSettings(background, prefix = '') {
+    if (!background) return {};
+
+    const key = name => `${prefix}background_${name}`;
+
+    if (background.type === 'color') {
+        return {
+            [key('background')]: "classic",
+            [key('color')]: background.color
+        };
+    }
+
+    if (background.type === 'gradient') {
+        const { stops, angle, gradientType } = background.gradient;
+        const first = stops[0];
+        const last = stops[stops.length - 1];
+
+        return {
+            [key('background')]: "gradient",
+            [key('color')]: first.color,
+            [key('color_stop')]: {
+                unit: "%",
+                size: first.location,
+                sizes: []
+            },
+            [key('color_b')]: last.color,
+            [key('color_b_stop')]: {
+                unit: "%",
+                size: last.location,
+                sizes: []
+            },
+            [key('gradient_type')]: gradientType,
+            [key('gradient_angle')]: {
+                unit: "deg",
+                size: angle,
+                sizes: []
+            }
+        };
+    }
+
+    return {
+        [key('background')]: "classic",
+        [key('image')]: {
+            url: background.imageUrl || PLACEHOLDER_IMAGE,
+            id: "",
+            size: "",
+            alt: background.layerName || "",
+            source: "library"
+        },
+        [key('position')]: "center center",
+        [key('repeat')]: "no-repeat",
+        [key('size')]: "cover"
+    };
+}
+
+/**
+ * Merge a layer's own style with the style of its detected background
+ * The background's opacity only applies to the background itself
+ * @param {Object} layer - Layer data
+ * @returns {Object} Style from LayerStyleExtractor.extract
+ */
+export function resolveStyle(layer) {
+    const { opacity, ...backgroundStyle } = layer.background?.style || {};
+    return { ...backgroundStyle, ...(layer.style || {}) };
+}
+
+/**
+ * Create a dimensions value for border radius
+ * @param {Object} radius - {unit, top, right, bottom, left}
+ * @param {number} fallback - Radius used when the layer has none
+ * @returns {Object} Elementor dimensions value
+ */
+export function createBorderRadius(radius, fallback = 0) {
+    const value = radius || { unit: "px", top: fallback, right: fallback, bottom: fallback, left: fallback };
+
+    return {
+        unit: value.unit,
+        top: String(value.top),
+        right: String(value.right),
+        bottom: String(value.bottom),
+        left: String(value.left),
+        isLinked: value.top === value.right && value.top === value.bottom && value.top === value.left
+    };
+}
+
+/**
+ * Create border settings from a stroke
+ * @param {Object} border - {style, width, color}
+ * @param {string} prefix - Setting prefix ('' for containers/buttons, 'image_', '_')
+ */
+export function createBorderSettings(border, prefix = '') {
+    if (!border) return {};
+
+    return {
+        [`${prefix}border_border`]: border.style,
+        [`${prefix}border_width`]: {
+            unit: "px",
+            top: String(border.width),
+            right: String(border.width),
+            bottom: String(border.width),
+            left: String(border.width),
+            isLinked: true
+        },
+        [`${prefix}border_color`]: border.color
+    };
+}
+
+/**
+ * Create box shadow settings from a drop shadow
+ * @param {Object} shadow - {horizontal, vertical, blur, spread, color}
+ * @param {string} prefix - Setting prefix ('', 'button_', 'image_', '_')
+ */
+export function createBoxShadowSettings(shadow, prefix = '') {
+    if (!shadow) return {};
+
+    return {
+        [`${prefix}box_shadow_box_shadow_type`]: "yes",
+        [`${prefix}box_shadow_box_shadow`]: {
+            horizontal: shadow.horizontal,
+            vertical: shadow.vertical,
+            blur: shadow.blur,
+            spread: shadow.spread,
+            color: shadow.color
+        }
+    };
+}
+
+/**
+ * Create opacity settings for semi-transparent layers
+ * @param {number} opacity - Layer opacity 0-1
+ */
+export function createOpacitySettings(opacity) {
+    if (opacity === undefined || opacity >= 1) return {};
+
+    return {
+        _opacity: {
+            unit: "px",
+            size: opacity,
+            sizes: []
+        }
+    };
+}
@@ -3,6 +3,7 @@
  */
 
 import { generateId } from '../../parsers/psdParser.js';
+import { createOpacitySettings } from './styleSettings.js';
 
 /**
  * Create a text editor widget
@@ -15,7 +16,7 @@ export function createTextWidget(layer) {
     return {
         id: generateId(),
         settings: {
-            editor: `<p>${textInfo.text || layer.name || "Add your text here"}</p>`,
+            editor: createEditorHtml(textInfo, textInfo.text || layer.name || "Add your text here"),
             align: textInfo.alignment || "left",
             typography_typography: "custom",
             typography_font_family: textInfo.fontFamily || "Roboto",
@@ -24,16 +25,17 @@ export function createTextWidget(layer) {
                 size: textInfo.fontSize || 16,
                 sizes: []
             },
-            typography_font_weight: textInfo.fontWeight === 'bold' ? '700' : '400',
+            typography_font_weight: String(textInfo.fontWeight || 400),
             typography_text_transform: "none",
-            typography_font_style: "normal",
+            typography_font_style: textInfo.fontStyle || "normal",
             typography_text_decoration: "none",
             typography_line_height: {
                 unit: "em",
                 size: 1.7,
                 sizes: []
             },
-            text_color: textInfo.color || "#666666"
+            text_color: textInfo.color || "#666666",
+            ...createOpacitySettings(layer.style?.opacity)
         },
         elements: [],
         isInner: false,
@@ -41,3 +43,65 @@ export function createTextWidget(layer) {
         elType: "widget"
     };
 }
+
+/**
+ * Build the editor HTML from paragraphs and style runs
+ * Only differences from the widget typography are marked up
+ */
+function createEditorHtml(textInfo, fallbackText) {
+    // A trailing line break leaves empty paragraphs that would render as blank lines
+    const paragraphs = [...(textInfo.paragraphs || [])];
+    while (paragraphs.length > 0 && paragraphs[paragraphs.length - 1].runs.length === 0) {
+        paragraphs.pop();
+    }
+
+    if (paragraphs.length === 0) {
+        return `<p>${escapeHtml(fallbackText)}</p>`;
+    }
+
+    return paragraphs.map(paragraph => {
+        const align = paragraph.alignment !== (textInfo.alignment || "left")
+            ? ` style="text-align: ${paragraph.alignment};"`
+            : "";
+        const content = paragraph.runs.map(run => formatRun(run, textInfo)).join("");
+
+        return `<p${align}>${content || "&nbsp;"}</p>`;
+    }).join("");
+}
+
+/**
+ * Wrap a run in <strong>/<em>/<span style> where it differs from the base typography
+ */
+function formatRun(run, base) {
+    // U+0003 is Photoshop's forced line break (Shift+Enter)
+    let html = escapeHtml(run.text).replace(/\u0003/g, "<br>");
+    const styles = [];
+
+    if (run.color !== base.color) styles.push(`color: ${run.color};`);
+    if (run.fontSize !== base.fontSize) styles.push(`font-size: ${run.fontSize}px;`);
+    if (run.fontFamily !== base.fontFamily) styles.push(`font-family: '${run.fontFamily}';`);
+    if (run.underline) styles.push("text-decoration: underline;");
+    if (run.fontWeight !== base.fontWeight && !isStrong(run, base)) styles.push(`font-weight: ${run.fontWeight};`);
+    if (run.fontStyle !== "italic" && base.fontStyle === "italic") styles.push("font-style: normal;");
+
+    if (styles.length > 0) html = `<span style="${styles.join(" ")}">${html}</span>`;
+    if (run.fontStyle === "italic" && base.fontStyle !== "italic") html = `<em>${html}</em>`;
+    if (isStrong(run, base)) html = `<strong>${html}</strong>`;
+
+    return html;
+}
+
+/**
+ * A bold run in lighter text, <strong> renders it at 700
+ */
+function isStrong(run, base) {
+    return run.fontWeight === 700 && base.fontWeight < 600;
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
@@ -0,0 +1,119 @@
+/**
+ * Artboard Helper
+ * Maps PSD artboards to Elementor devices (desktop / tablet / mobile)
+ */
+
+export class ArtboardHelper {
+
+    /**
+     * Elementor default breakpoints (max width per device)
+     */
+    static BREAKPOINTS = {
+        mobile: 767,
+        tablet: 1024
+    };
+
+    /**
+     * Device order, widest first
+     */
+    static DEVICES = ['desktop', 'tablet', 'mobile'];
+
+    /**
+     * Guess the device an artboard was designed for
+     * Name hints ("Tablet 768", "iPhone") win over the width
+     * @param {Object} artboard - Artboard {name, width}
+     * @returns {string} 'desktop' | 'tablet' | 'mobile'
+     */
+    static getDevice(artboard) {
+        const name = (artboard.name || '').toLowerCase();
+
+        if (/mobile|phone|iphone|android/.test(name)) return 'mobile';
+        if (/tablet|ipad/.test(name)) return 'tablet';
+        if (/desktop|laptop|web/.test(name)) return 'desktop';
+
+        if (artboard.width <= this.BREAKPOINTS.mobile) return 'mobile';
+        if (artboard.width <= this.BREAKPOINTS.tablet) return 'tablet';
+        return 'desktop';
+    }
+
+    /**
+     * Pick one artboard per device
+     * The widest artboard is the desktop design when no artboard is named/sized as desktop
+     * @param {Array} artboards - Parsed artboards
+     * @returns {Object} {desktop, tablet, mobile} (tablet/mobile may be null)
+     */
+    static assignDevices(artboards) {
+        const devices = { desktop: null, tablet: null, mobile: null };
+        if (!artboards || artboards.length === 0) return devices;
+
+        const byWidth = [...artboards].sort((a, b) => b.width - a.width);
+
+        for (const artboard of byWidth) {
+            const device = this.getDevice(artboard);
+            if (!devices[device]) devices[device] = artboard;
+        }
+
+        if (!devices.desktop) {
+            devices.desktop = byWidth[0];
+            for (const device of ['tablet', 'mobile']) {
+                if (devices[device] === devices.desktop) devices[device] = null;
+            }
+        }
+
+        return devices;
+    }
+
+    /**
+     * Split a parsed PSD into pages
+     * - No artboards: one page with the whole document
+     * - 'pages' mode: one page per artboard
+     * - 'breakpoints' mode: the desktop artboard, with tablet/mobile artboards as breakpoints
+     * @param {Object} psdData - Result of parsePsdBuffer
+     * @param {string} artboardMode - 'pages' | 'breakpoints'
+     * @returns {Array} Pages {name, width, height, origin, layers, breakpoints}
+     */
+    static createPages(psdData, artboardMode) {
+        const artboards = psdData.artboards || [];
+
+        if (artboards.length === 0) {
+            return [{
+                name: psdData.fileName,
+                width: psdData.width,
+                height: psdData.height,
+                origin: { left: 0, top: 0 },
+                layers: psdData.layers,
+                breakpoints: []
+            }];
+        }
+
+        if (artboardMode === 'breakpoints') {
+            const devices = this.assignDevices(artboards);
+
+            return [{
+                name: devices.desktop.name,
+                width: devices.desktop.width,
+                height: devices.desktop.height,
+                origin: { left: devices.desktop.bounds.left, top: devices.desktop.bounds.top },
+                layers: devices.desktop.layers,
+                breakpoints: ['tablet', 'mobile']
+                    .filter(device => devices[device])
+                    .map(device => ({
+                        device,
+                        name: devices[device].name,
+                        width: devices[device].width,
+                        height: devices[device].height,
+                        layers: devices[device].layers
+                    }))
+            }];
+        }
+
+        return artboards.map(artboard => ({
+            name: artboard.name,
+            width: artboard.width,
+            height: artboard.height,
+            origin: { left: artboard.bounds.left, top: artboard.bounds.top },
+            layers: artboard.layers,
+            breakpoints: []
+        }));
+    }
+}
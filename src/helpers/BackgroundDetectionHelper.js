@@ -0,0 +1,136 @@
+/**
+ * Background Detection Helper
+ * Finds full-bleed shape/image layers that sit behind a container's content
+ * and turns them into container background settings
+ */
+
+export class BackgroundDetectionHelper {
+
+    /**
+     * Detection thresholds
+     */
+    static THRESHOLDS = {
+        COVERAGE: 0.9,      // min share of the container area the layer must cover
+        TOLERANCE: 2        // px - slack when checking if bounds contain each other
+    };
+
+    /**
+     * Detect a background layer among a group's children
+     * Children are in PSD order (bottom-most first), so only the first
+     * visible image/shape layer can sit behind everything else
+     * @param {Array} children - Child layers of the group
+     * @param {Object} containerBounds - Bounds of the group
+     * @returns {{background: Object|null, children: Array}} Background and remaining children
+     */
+    static detect(children, containerBounds) {
+        const visible = (children || []).filter(c => c.visible !== false);
+        if (visible.length < 2 || !this.#hasArea(containerBounds)) {
+            return { background: null, children };
+        }
+
+        const candidate = visible[0];
+        if (!this.isBackgroundCandidate(candidate) ||
+            this.getCoverage(candidate.bounds, containerBounds) < this.THRESHOLDS.COVERAGE) {
+            return { background: null, children };
+        }
+
+        return {
+            background: this.toBackground(candidate),
+            children: children.filter(c => c !== candidate)
+        };
+    }
+
+    /**
+     * Split a flat layer list into background layers and content layers
+     * A background is an image/shape layer that contains at least one layer
+     * drawn above it (later in PSD order)
+     * @param {Array} layers - Flat layer list in PSD order
+     * @returns {{backgrounds: Array, content: Array}}
+     */
+    static extractFromFlatLayers(layers) {
+        const backgrounds = [];
+        const content = [];
+
+        layers.forEach((layer, index) => {
+            const coversLayersAbove = this.isBackgroundCandidate(layer) &&
+                layers.slice(index + 1).some(other => this.contains(layer.bounds, other.bounds));
+
+            if (coversLayersAbove) {
+                backgrounds.push(layer);
+            } else {
+                content.push(layer);
+            }
+        });
+
+        return { backgrounds, content };
+    }
+
+    /**
+     * Check if a layer can act as a background
+     */
+    static isBackgroundCandidate(layer) {
+        if (!layer || layer.type === 'group' || layer.type === 'text') return false;
+        if (layer.children && layer.children.length > 0) return false;
+        return (layer.type === 'image' || layer.type === 'shape') && this.#hasArea(layer.bounds);
+    }
+
+    /**
+     * Share of the container area covered by the layer (0-1)
+     */
+    static getCoverage(layerBounds, containerBounds) {
+        const overlapWidth = Math.max(0,
+            Math.min(layerBounds.right, containerBounds.right) - Math.max(layerBounds.left, containerBounds.left));
+        const overlapHeight = Math.max(0,
+            Math.min(layerBounds.bottom, containerBounds.bottom) - Math.max(layerBounds.top, containerBounds.top));
+
+        return (overlapWidth * overlapHeight) / (containerBounds.width * containerBounds.height);
+    }
+
+    /**
+     * Check if outer bounds contain inner bounds (with tolerance)
+     */
+    static contains(outer, inner) {
+        const t = this.THRESHOLDS.TOLERANCE;
+        return (
+            inner.left >= outer.left - t &&
+            inner.top >= outer.top - t &&
+            inner.right <= outer.right + t &&
+            inner.bottom <= outer.bottom + t
+        );
+    }
+
+    /**
+     * Convert a layer into a background description
+     * Shape fills become colors or gradients, everything else an image.
+     * The layer's shadow, stroke and radius travel along for the container
+     * @param {Object} layer - Background layer
+     * @returns {Object} {type: 'color'|'gradient'|'image', ...}
+     */
+    static toBackground(layer) {
+        const base = {
+            layerId: layer.id,
+            layerName: layer.name,
+            bounds: layer.bounds,
+            style: layer.style || null
+        };
+
+        if (layer.fill?.type === 'gradient' && layer.fill.stops.length >= 2) {
+            return { ...base, type: 'gradient', gradient: layer.fill };
+        }
+
+        if (layer.fill?.type === 'solid' && layer.type === 'shape') {
+            return { ...base, type: 'color', color: layer.fill.color };
+        }
+
+        return {
+            ...base,
+            type: 'image',
+            imageUrl: layer.imageAsset?.url || '',
+            imageAsset: layer.imageAsset || null
+        };
+    }
+
+    static #hasArea(bounds) {
+        return bounds && bounds.width > 0 && bounds.height > 0;
+    }
+}
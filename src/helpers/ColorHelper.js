@@ -0,0 +1,115 @@
+/**
+ * Color Helper
+ * Normalizes ag-psd color descriptors (RGB, float RGB, HSB, CMYK, grayscale)
+ */
+
+export class ColorHelper {
+
+    /**
+     * Convert an ag-psd color to {r, g, b} in the 0-255 range
+     * @param {Object} color - ag-psd Color
+     * @returns {Object|null} RGB object or null if the color can't be read
+     */
+    static toRgb(color) {
+        if (!color) return null;
+
+        if (color.r !== undefined) {
+            return { r: color.r, g: color.g, b: color.b };
+        }
+
+        if (color.fr !== undefined) {
+            return { r: color.fr * 255, g: color.fg * 255, b: color.fb * 255 };
+        }
+
+        if (color.h !== undefined) {
+            return this.#hsbToRgb(color.h, color.s / 100, color.b / 100);
+        }
+
+        if (color.c !== undefined) {
+            const k = 1 - color.k / 100;
+            return {
+                r: 255 * (1 - color.c / 100) * k,
+                g: 255 * (1 - color.m / 100) * k,
+                b: 255 * (1 - color.y / 100) * k
+            };
+        }
+
+        if (color.k !== undefined) {
+            const value = 255 * (1 - color.k / 100);
+            return { r: value, g: value, b: value };
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert an ag-psd color to a #rrggbb hex string
+     * @param {Object} color - ag-psd Color
+     * @param {string|null} fallback - Returned when the color can't be read
+     */
+    static toHex(color, fallback = null) {
+        const rgb = this.toRgb(color);
+        if (!rgb) return fallback;
+
+        return '#' + [rgb.r, rgb.g, rgb.b]
+            .map(v => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Convert an ag-psd color to an rgba() string
+     * @param {Object} color - ag-psd Color
+     * @param {number} alpha - Opacity 0-1
+     */
+    static toRgba(color, alpha = 1, fallback = null) {
+        const rgb = this.toRgb(color);
+        if (!rgb) return fallback;
+
+        const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(v => Math.max(0, Math.min(255, Math.round(v))));
+        return `rgba(${r},${g},${b},${Math.round(alpha * 100) / 100})`;
+    }
+
+    /**
+     * Parse a #rgb / #rrggbb / #rrggbbaa hex string
+     * @param {string} hex - Hex color
+     * @returns {Object|null} {r, g, b, a} (a in 0-1) or null if not a hex color
+     */
+    static parseHex(hex) {
+        const match = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(String(hex || '').trim());
+        if (!match) return null;
+
+        let value = match[1];
+        if (value.length === 3) {
+            value = value.split('').map(v => v + v).join('');
+        }
+
+        return {
+            r: parseInt(value.slice(0, 2), 16),
+            g: parseInt(value.slice(2, 4), 16),
+            b: parseInt(value.slice(4, 6), 16),
+            a: value.length === 8 ? parseInt(value.slice(6, 8), 16) / 255 : 1
+        };
+    }
+
+    /**
+     * Euclidean distance between two colors in RGB space (0-441)
+     * @param {Object} a - {r, g, b}
+     * @param {Object} b - {r, g, b}
+     */
+    static distance(a, b) {
+        return Math.sqrt((a.r - b.r) ** 2 + (a.g - b.g) ** 2 + (a.b - b.b) ** 2);
+    }
+
+    static #hsbToRgb(h, s, v) {
+        const i = Math.floor(h * 6);
+        const f = h * 6 - i;
+        const p = v * (1 - s);
+        const q = v * (1 - f * s);
+        const t = v * (1 - (1 - f) * s);
+        const [r, g, b] = [
+            [v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q]
+        ][((i % 6) + 6) % 6];
+
+        return { r: r * 255, g: g * 255, b: b * 255 };
+    }
+}
@@ -1,5 +1,6 @@
 import { LayoutRelationshipHelper } from "./LayoutRelationshipHelper.js";
 import { LayoutDistanceHelper } from "./LayoutDistanceHelper.js";
+import { Logger } from "./Logger.js";
 
 export class ContainerLayoutHelper {
 
@@ -13,7 +14,7 @@ export class ContainerLayoutHelper {
     }
 
     static detectFlexDirection(children) {
-        console.log("detectFlexDirection: ", children);
+        Logger.debug("detectFlexDirection: ", children);
         if (children.length < 2) return "column";
 
         let hasRowStructure = false;
@@ -94,8 +95,60 @@ export class ContainerLayoutHelper {
         return gaps.length ? gaps[Math.floor(gaps.length / 2)] : 0;
     }
 
+    /**
+     * Per-side distance between a container's bounds and its content
+     * @param {Object} bounds - Container bounds
+     * @param {Array} children - Child layers
+     * @returns {Object} {top, right, bottom, left} in px (0 when unknown)
+     */
+    static calculatePadding(bounds, children) {
+        const visibleChildren = this.getVisibleChildren(children || []);
+
+        if (!bounds || visibleChildren.length === 0) {
+            return { top: 0, right: 0, bottom: 0, left: 0 };
+        }
+
+        const content = LayoutRelationshipHelper.mergeBounds(...visibleChildren.map(c => c.bounds));
+
+        return {
+            top: Math.max(0, Math.round(content.top - bounds.top)),
+            right: Math.max(0, Math.round(bounds.right - content.right)),
+            bottom: Math.max(0, Math.round(bounds.bottom - content.bottom)),
+            left: Math.max(0, Math.round(content.left - bounds.left))
+        };
+    }
+
+    /**
+     * Detect the design grid (boxed content width) shared by root sections
+     * Uses the widest section content, rounded to 10px and capped at the canvas.
+     * Root lines, spacers and full-bleed layers don't count, they don't sit in the grid
+     * @param {Array} layers - Root-level layers
+     * @param {number} canvasWidth - PSD canvas width
+     * @returns {number} Grid width in px
+     */
+    static detectGridWidth(layers, canvasWidth) {
+        const widths = (layers || [])
+            .filter(layer => layer.visible !== false)
+            .map(layer => {
+                const children = this.getVisibleChildren(layer.children || []);
+                if (children.length > 0) {
+                    return LayoutRelationshipHelper.mergeBounds(...children.map(c => c.bounds)).width;
+                }
+
+                const width = layer.bounds?.width || 0;
+                const fullBleed = canvasWidth && width >= canvasWidth;
+                return fullBleed || ['divider', 'spacer'].includes(layer.widgetType) ? 0 : width;
+            })
+            .filter(width => width > 0);
+
+        if (widths.length === 0) return canvasWidth || 1170;
+
+        const gridWidth = Math.round(Math.max(...widths) / 10) * 10;
+        return canvasWidth ? Math.min(gridWidth, canvasWidth) : gridWidth;
+    }
+
     static calculateLayout(children) {
-        console.log("calculateLayout: ", children);
+        Logger.debug("calculateLayout: ", children);
         const visibleChildren = this.getVisibleChildren(children);
 
         if (visibleChildren.length < 2) {
@@ -103,6 +156,7 @@ export class ContainerLayoutHelper {
                 direction: "column",
                 wrap: "nowrap",
                 gap: 0,
+                rowGap: 0,
                 justifyContent: "flex-start",
                 alignItems: "stretch"
             };
@@ -115,10 +169,16 @@ export class ContainerLayoutHelper {
 
         const gap = this.calculateGap(visibleChildren, direction);
 
+        // Wrapped rows also need the vertical spacing between lines
+        const rowGap = wrap === "wrap"
+            ? this.calculateGap(visibleChildren, "column")
+            : gap;
+
         return {
             direction,
             wrap,
             gap,
+            rowGap,
             justifyContent: direction === "row" ? "space-between" : "flex-start",
             alignItems: direction === "row" ? "flex-start" : "stretch"
         };
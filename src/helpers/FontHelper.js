@@ -0,0 +1,213 @@
+/**
+ * Font Helper
+ * Turns Photoshop PostScript font names into web fonts Elementor can load
+ *
+ * FLOW:
+ * - parsePostScriptName()  "Montserrat-SemiBoldItalic" -> Montserrat, 600, italic
+ * - resolve()              Matches the family against the offline Google Fonts catalog,
+ *                          substitutes look-alikes for commercial fonts and snaps the weight
+ */
+
+import { GOOGLE_FONTS, SYSTEM_FONTS, SUBSTITUTES } from './googleFontsCatalog.js';
+
+/**
+ * Style name words and their CSS weight, compound words first
+ */
+const WEIGHT_WORDS = [
+    ['extralight', 200],
+    ['ultralight', 200],
+    ['semibold', 600],
+    ['demibold', 600],
+    ['extrabold', 800],
+    ['ultrabold', 800],
+    ['extrablack', 900],
+    ['ultrablack', 900],
+    ['hairline', 100],
+    ['thin', 100],
+    ['light', 300],
+    ['book', 400],
+    ['regular', 400],
+    ['normal', 400],
+    ['roman', 400],
+    ['plain', 400],
+    ['medium', 500],
+    ['demi', 600],
+    ['heavy', 800],
+    ['bold', 700],
+    ['black', 900]
+];
+
+/**
+ * Vendor suffixes that aren't part of the family name (ArialMT, HelveticaNeueLTStd, ...)
+ */
+const FAMILY_SUFFIX = /(psmt|mt|ps|ltstd|ltpro|lt|std|pro|variable|vf)$/;
+
+export class FontHelper {
+
+    static #catalog = null;
+    static #cache = new Map();
+
+    /**
+     * Split a PostScript name into family, weight and style
+     * @param {string} postScriptName - e.g. "Montserrat-SemiBoldItalic", "Arial-BoldMT"
+     * @returns {{family: string, weight: number, style: string}} Family as written in the name (not resolved)
+     */
+    static parsePostScriptName(postScriptName) {
+        const name = String(postScriptName || '').trim();
+        const hyphen = name.indexOf('-');
+
+        let family = hyphen > 0 ? name.slice(0, hyphen) : name;
+        let styleName = hyphen > 0 ? name.slice(hyphen + 1) : '';
+
+        // "Poppins SemiBold", "OpenSansBold": peel style words off the end,
+        // unless the whole name is a family ("Archivo Black")
+        if (!styleName && !this.#findFamily(family)) {
+            const match = family.match(/^(.+?)[\s_]*((?:(?:Extra|Ultra|Semi|Demi)?(?:Hairline|Thin|Light|Book|Regular|Medium|Bold|Heavy|Black)|Italic|Oblique)+)$/i);
+            if (match) {
+                family = match[1];
+                styleName = match[2];
+            }
+        }
+
+        const style = this.#normalize(styleName).replace(FAMILY_SUFFIX, '');
+
+        return {
+            family: this.#findFamily(family)?.name || this.#toDisplayName(family),
+            weight: this.#getWeight(style),
+            style: /italic|oblique|it$/.test(style) ? 'italic' : 'normal'
+        };
+    }
+
+    /**
+     * Resolve a PSD font to a web font
+     * @param {string} postScriptName - Font name from the PSD
+     * @param {Object} options - Faux styles applied in Photoshop
+     * @param {boolean} options.fauxBold - Synthetic bold
+     * @param {boolean} options.fauxItalic - Synthetic italic
+     * @returns {Object} Font {postScriptName, family, weight, style, source, originalFamily, originalWeight}
+     *   source is "google", "system" (web-safe), "substitute" (Google look-alike) or "missing"
+     */
+    static resolve(postScriptName, { fauxBold = false, fauxItalic = false } = {}) {
+        const key = `${postScriptName}|${fauxBold}|${fauxItalic}`;
+        if (this.#cache.has(key)) return this.#cache.get(key);
+
+        const parsed = postScriptName
+            ? this.parsePostScriptName(postScriptName)
+            : { family: 'Arial', weight: 400, style: 'normal' };
+
+        const weight = fauxBold ? Math.max(parsed.weight, 700) : parsed.weight;
+        const style = fauxItalic ? 'italic' : parsed.style;
+        const match = this.#findFamily(parsed.family);
+
+        let family = parsed.family;
+        let source = 'missing';
+        let weights = null;
+
+        if (match?.source === 'substitute') {
+            family = match.substitute;
+            weights = this.#getCatalog().get(this.#normalize(family)).weights;
+            source = 'substitute';
+        } else if (match) {
+            family = match.name;
+            weights = match.weights;
+            source = match.source;
+        }
+
+        const font = {
+            postScriptName: postScriptName || null,
+            family,
+            weight: weights ? this.#nearestWeight(weight, weights) : weight,
+            style,
+            source,
+            originalFamily: parsed.family,
+            originalWeight: weight
+        };
+
+        this.#cache.set(key, font);
+        return font;
+    }
+
+    /**
+     * Whether a resolved font differs from the one in the design
+     * @param {Object} font - Result of resolve()
+     * @returns {boolean}
+     */
+    static isSubstituted(font) {
+        return font.source === 'substitute' || font.weight !== font.originalWeight;
+    }
+
+    /**
+     * Look a family up in the catalog, without vendor suffixes if needed
+     * @returns {Object|null} {name, source, weights, substitute}
+     */
+    static #findFamily(family) {
+        const catalog = this.#getCatalog();
+        let key = this.#normalize(family);
+
+        while (key) {
+            if (catalog.has(key)) return catalog.get(key);
+
+            const stripped = key.replace(FAMILY_SUFFIX, '');
+            if (stripped === key) break;
+            key = stripped;
+        }
+
+        return null;
+    }
+
+    /**
+     * Catalog indexed by normalized family name ("Open Sans" and "OpenSans" -> "opensans")
+     */
+    static #getCatalog() {
+        if (this.#catalog) return this.#catalog;
+
+        this.#catalog = new Map();
+
+        for (const name of SYSTEM_FONTS) {
+            this.#catalog.set(this.#normalize(name), { name, source: 'system', weights: null });
+        }
+        for (const [name, substitute] of Object.entries(SUBSTITUTES)) {
+            this.#catalog.set(this.#normalize(name), { name, source: 'substitute', weights: null, substitute });
+        }
+        for (const [name, spec] of Object.entries(GOOGLE_FONTS)) {
+            const weights = [...spec.replace('i', '')].map(digit => Number(digit) * 100);
+            this.#catalog.set(this.#normalize(name), { name, source: 'google', weights, italic: spec.endsWith('i') });
+        }
+
+        return this.#catalog;
+    }
+
+    static #getWeight(style) {
+        const numeric = style.match(/[1-9]00/);
+        if (numeric) return Number(numeric[0]);
+
+        return WEIGHT_WORDS.find(([word]) => style.includes(word))?.[1] || 400;
+    }
+
+    /**
+     * Closest available weight, heavier on ties above 400 like CSS font matching
+     */
+    static #nearestWeight(weight, weights) {
+        return weights.reduce((best, candidate) => {
+            const diff = Math.abs(candidate - weight) - Math.abs(best - weight);
+            if (diff < 0) return candidate;
+            if (diff === 0 && weight > 400 && candidate > best) return candidate;
+            return best;
+        });
+    }
+
+    static #normalize(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * "TimesNewRomanPS" -> "Times New Roman"
+     */
+    static #toDisplayName(family) {
+        return family
+            .replace(/(PSMT|MT|PS)$/, '')
+            .replace(/[_]+/g, ' ')
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .trim() || 'Arial';
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Heading Level Helper
+ * Picks the h1-h6 level of every heading widget of a page
+ *
+ * RULES:
+ * - Names like "h1_hero" or "h3-title", an [h2] directive or a naming rule's headingLevel option,
+ *   set the level explicitly
+ * - Otherwise font sizes are ranked across the whole page (sizes within SIZE_TOLERANCE share a tier)
+ * - A page has a single h1: the first explicit one, or else the most prominent heading
+ * - Within each section (root-level layer) levels descend by tier from h2, without gaps,
+ *   and stay below the more prominent explicit headings of the section
+ */
+
+import { Logger } from './Logger.js';
+
+export class HeadingLevelHelper {
+
+    static EXPLICIT_PATTERN = /^h([1-6])(?:[-_\s]|$)/i;
+
+    /**
+     * Font sizes (px) closer than this are the same tier
+     */
+    static SIZE_TOLERANCE = 2;
+
+    /**
+     * Assign heading levels
+     * @param {Array} layers - Classified layer tree of one page
+     * @returns {Map<Object, number>} Heading layer -> level (1-6)
+     */
+    static assignLevels(layers) {
+        const headings = this.#collectHeadings(layers);
+        const levels = new Map();
+
+        // Explicit levels, demoting any h1 after the first
+        let hasH1 = false;
+        for (const heading of headings) {
+            const level = heading.layer.directives?.level
+                || heading.layer.namingRule?.options?.headingLevel
+                || this.getExplicitLevel(heading.layer.name);
+            if (!level) continue;
+
+            if (level === 1 && hasH1) {
+                Logger.warn(`HeadingLevelHelper: "${heading.layer.name}" is a second h1, using h2`);
+                levels.set(heading.layer, 2);
+                continue;
+            }
+
+            hasH1 ||= level === 1;
+            levels.set(heading.layer, level);
+        }
+
+        const explicit = headings.filter(heading => levels.has(heading.layer));
+        const inferred = headings.filter(heading => !levels.has(heading.layer));
+
+        if (!hasH1 && inferred.length > 0) {
+            const main = [...inferred].sort((a, b) => b.size - a.size || a.top - b.top)[0];
+            levels.set(main.layer, 1);
+        }
+
+        const tiers = this.#getTiers(inferred.map(heading => heading.size));
+
+        for (const section of this.#groupBySection(inferred.filter(heading => !levels.has(heading.layer)))) {
+            const sectionTiers = [...new Set(section.map(heading => tiers.get(heading.size)))].sort((a, b) => a - b);
+
+            for (const heading of section) {
+                let level = 2 + sectionTiers.indexOf(tiers.get(heading.size));
+
+                // Stay below explicit headings that are more prominent
+                for (const other of explicit) {
+                    if (other.section === heading.section && other.size - heading.size > this.SIZE_TOLERANCE) {
+                        level = Math.max(level, levels.get(other.layer) + 1);
+                    }
+                }
+
+                levels.set(heading.layer, Math.min(6, level));
+            }
+        }
+
+        return levels;
+    }
+
+    /**
+     * Level set by the layer name ("h2_features" -> 2)
+     * @param {string} name - Layer name
+     * @returns {number|null}
+     */
+    static getExplicitLevel(name) {
+        const match = String(name || '').match(this.EXPLICIT_PATTERN);
+        return match ? Number(match[1]) : null;
+    }
+
+    /**
+     * Visible heading widgets in document order, with their section
+     * Composite widgets are skipped, their texts aren't heading widgets
+     */
+    static #collectHeadings(layers, section = null, result = []) {
+        for (const layer of layers) {
+            if (layer.visible === false) continue;
+
+            const layerSection = section ?? (layer.children?.length ? layer : 'root');
+
+            if (layer.widgetType === 'heading' && !layer.isComposite) {
+                result.push({
+                    layer,
+                    section: layerSection,
+                    size: layer.textInfo?.fontSize || 0,
+                    top: layer.bounds?.top || 0
+                });
+            }
+
+            if (!layer.isComposite && layer.children?.length) {
+                this.#collectHeadings(layer.children, layerSection, result);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Map each font size to its tier, 0 being the largest
+     */
+    static #getTiers(sizes) {
+        const tiers = new Map();
+        let tier = -1;
+        let tierSize = Infinity;
+
+        for (const size of [...new Set(sizes)].sort((a, b) => b - a)) {
+            if (tierSize - size > this.SIZE_TOLERANCE) {
+                tier++;
+                tierSize = size;
+            }
+            tiers.set(size, tier);
+        }
+
+        return tiers;
+    }
+
+    static #groupBySection(headings) {
+        const sections = new Map();
+
+        for (const heading of headings) {
+            if (!sections.has(heading.section)) sections.set(heading.section, []);
+            sections.get(heading.section).push(heading);
+        }
+
+        return [...sections.values()];
+    }
+}
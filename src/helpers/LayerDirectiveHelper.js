@@ -0,0 +1,150 @@
+/**
+ * Layer Directive Helper
+ * Reads the settings designers write into layer names in square brackets
+ *
+ * SYNTAX:
+ *   btn_signup [link=/register, align=left]
+ *   heading_hero [h1]
+ *   section_features [boxed=1200, gap=32]
+ *   img_logo [width=auto]
+ *
+ * DIRECTIVES:
+ * - link=<url>                       Widget link
+ * - align=left|center|right|justify  Widget alignment
+ * - h1 ... h6, level=<1-6>           Heading level
+ * - boxed[=<px>]                     Boxed container/section, optionally with its content width
+ * - full                             Full width container/section
+ * - gap=<px>                         Spacing between the children of a container/section
+ * - width=auto|<px>|<n>%             Width of the element
+ */
+
+const ALIGNMENTS = ['left', 'center', 'right', 'justify'];
+
+const DIRECTIVE_PATTERN = /\s*\[([^\]]*)\]/g;
+
+export class LayerDirectiveHelper {
+
+    static KEYS = ['link', 'align', 'level', 'boxed', 'full', 'gap', 'width'];
+
+    /**
+     * Split a layer name into its display name and directives
+     * @param {string} name - Layer name as written in Photoshop
+     * @returns {{name: string, directives: Object, warnings: Array<string>}}
+     *   Directives hold normalized values, warnings describe unknown keys and invalid values
+     */
+    static parse(name) {
+        const directives = {};
+        const warnings = [];
+        const source = String(name || '');
+
+        for (const [, body] of source.matchAll(DIRECTIVE_PATTERN)) {
+            for (const entry of body.split(',')) {
+                if (!entry.trim()) continue;
+
+                const separator = entry.indexOf('=');
+                const key = (separator === -1 ? entry : entry.slice(0, separator)).trim().toLowerCase();
+                const value = separator === -1 ? true : this.#unquote(entry.slice(separator + 1).trim());
+
+                const warning = this.#addDirective(directives, key, value);
+                if (warning) warnings.push(warning);
+            }
+        }
+
+        return {
+            name: source.replace(DIRECTIVE_PATTERN, '').trim() || source.trim(),
+            directives,
+            warnings
+        };
+    }
+
+    /**
+     * Format directives the way they are written in layer names
+     * @param {Object} directives - Parsed directives
+     * @returns {string} e.g. "link=/register, align=left"
+     */
+    static format(directives = {}) {
+        return Object.entries(directives)
+            .map(([key, value]) => {
+                if (key === 'level') return `h${value}`;
+                if (value === true) return key;
+                if (key === 'width' && typeof value === 'object') return `width=${value.size}${value.unit === '%' ? '%' : ''}`;
+                return `${key}=${value}`;
+            })
+            .join(', ');
+    }
+
+    /**
+     * Validate and store one directive
+     * @returns {string|null} Warning
+     */
+    static #addDirective(directives, key, value) {
+        const heading = key.match(/^h([1-6])$/);
+        if (heading && value === true) {
+            directives.level = Number(heading[1]);
+            return null;
+        }
+
+        if (!this.KEYS.includes(key)) {
+            return `unknown directive "${key}"`;
+        }
+
+        switch (key) {
+            case 'link':
+                if (value === true || !value) return 'link needs a URL (link=/page)';
+                directives.link = value;
+                return null;
+            case 'align':
+                if (!ALIGNMENTS.includes(String(value).toLowerCase())) {
+                    return `align must be one of ${ALIGNMENTS.join(', ')}`;
+                }
+                directives.align = String(value).toLowerCase();
+                return null;
+            case 'level': {
+                const level = Number(value);
+                if (!Number.isInteger(level) || level < 1 || level > 6) return 'level must be 1-6';
+                directives.level = level;
+                return null;
+            }
+            case 'boxed': {
+                if (value === true) {
+                    directives.boxed = true;
+                    return null;
+                }
+                const size = this.#toPixels(value);
+                if (size === null || size <= 0) return 'boxed must be a width in px (boxed=1200)';
+                directives.boxed = size;
+                return null;
+            }
+            case 'full':
+                directives.full = true;
+                return null;
+            case 'gap': {
+                const size = this.#toPixels(value);
+                if (size === null) return 'gap must be a size in px (gap=32)';
+                directives.gap = size;
+                return null;
+            }
+            case 'width': {
+                if (String(value).toLowerCase() === 'auto') {
+                    directives.width = 'auto';
+                    return null;
+                }
+                const match = String(value).match(/^(\d+(?:\.\d+)?)\s*(px|%)?$/i);
+                if (!match) return 'width must be auto, a size in px or a percentage';
+                directives.width = { unit: (match[2] || 'px').toLowerCase(), size: Number(match[1]) };
+                return null;
+            }
+        }
+
+        return null;
+    }
+
+    static #toPixels(value) {
+        const match = String(value).match(/^(\d+(?:\.\d+)?)\s*(px)?$/i);
+        return match ? Number(match[1]) : null;
+    }
+
+    static #unquote(value) {
+        return value.replace(/^(["'])(.*)\1$/, '$2');
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * Layer Image Exporter
+ * Rasterizes decoded PSD layer pixels into PNG/WebP files
+ */
+
+import { PngEncoder } from './PngEncoder.js';
+
+export class LayerImageExporter {
+
+    /**
+     * Supported output formats
+     */
+    static FORMATS = {
+        png: { mimeType: 'image/png', extension: 'png' },
+        webp: { mimeType: 'image/webp', extension: 'webp', quality: 0.9 }
+    };
+
+    /**
+     * Default folder exported files are referenced from
+     */
+    static DEFAULT_BASE_URL = 'assets/';
+
+    /**
+     * Export the pixels of every pending layer
+     * @param {Array} pending - Array of {layerInfo, imageData} pairs
+     * @param {Object} options - Export options
+     * @param {string} options.imageFormat - 'png' or 'webp'
+     * @param {string} options.assetBaseUrl - URL prefix written into widget settings
+     * @param {Function} onLayer - Called with (done, total) before each layer
+     * @returns {Promise<Array>} Exported assets
+     */
+    static async exportAll(pending, options = {}, onLayer = () => { }) {
+        const assets = [];
+
+        for (const [index, { layerInfo, imageData }] of pending.entries()) {
+            onLayer(index, pending.length);
+
+            const asset = await this.exportLayer(layerInfo, imageData, options);
+            if (!asset) continue;
+
+            // Keep a serializable reference on the layer, blobs stay in the asset list
+            layerInfo.imageAsset = {
+                path: asset.path,
+                url: asset.url,
+                width: asset.width,
+                height: asset.height
+            };
+            assets.push(asset);
+        }
+
+        return assets;
+    }
+
+    /**
+     * Export a single layer bitmap
+     * @param {Object} layerInfo - Extracted layer info (id, name, bounds)
+     * @param {Object} imageData - ag-psd pixel data {data, width, height}
+     * @param {Object} options - Export options
+     * @returns {Promise<Object|null>} Asset or null when the layer has no pixels
+     */
+    static async exportLayer(layerInfo, imageData, options = {}) {
+        if (!imageData || !imageData.width || !imageData.height) {
+            return null;
+        }
+
+        const { blob, format } = await this.encode(imageData, options.imageFormat || 'png');
+        const fileName = this.createFileName(layerInfo, this.FORMATS[format].extension);
+        const path = `assets/${fileName}`;
+        const baseUrl = options.assetBaseUrl ?? this.DEFAULT_BASE_URL;
+
+        return {
+            layerId: layerInfo.id,
+            layerName: layerInfo.name,
+            fileName,
+            path,
+            url: baseUrl + fileName,
+            mimeType: this.FORMATS[format].mimeType,
+            width: imageData.width,
+            height: imageData.height,
+            blob
+        };
+    }
+
+    /**
+     * Encode pixel data into an image blob
+     * Falls back to PNG when the runtime cannot encode the requested format
+     * @returns {Promise<{blob: Blob, format: string}>}
+     */
+    static async encode(imageData, format = 'png') {
+        const target = this.FORMATS[format] ? format : 'png';
+
+        // Headless runtimes (Node CLI) have no canvas, PNG is written in JS
+        if (typeof OffscreenCanvas === 'undefined' && typeof document === 'undefined') {
+            const bytes = PngEncoder.encode({
+                data: this.#toRgba8(imageData.data),
+                width: imageData.width,
+                height: imageData.height
+            });
+            return { blob: new Blob([bytes], { type: this.FORMATS.png.mimeType }), format: 'png' };
+        }
+
+        const canvas = this.#createCanvas(imageData.width, imageData.height);
+        const context = canvas.getContext('2d');
+
+        context.putImageData(this.toImageData(imageData), 0, 0);
+
+        const blob = await this.#canvasToBlob(canvas, this.FORMATS[target]);
+
+        // Browsers without WebP encoding silently return PNG
+        if (blob.type && blob.type !== this.FORMATS[target].mimeType) {
+            return { blob, format: 'png' };
+        }
+
+        return { blob, format: target };
+    }
+
+    /**
+     * Build a file-system friendly name from the layer name and id
+     */
+    static createFileName(layerInfo, extension) {
+        const slug = (layerInfo.name || 'layer')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 40) || 'layer';
+
+        return `${slug}-${layerInfo.id}.${extension}`;
+    }
+
+    /**
+     * Convert ag-psd pixel data (8, 16 or 32 bit) into a browser ImageData
+     */
+    static toImageData({ data, width, height }) {
+        return new ImageData(this.#toRgba8(data), width, height);
+    }
+
+    /* ============================
+       Internal helpers
+       ============================ */
+
+    /**
+     * Scale 16/32-bit channels down to 8-bit RGBA
+     */
+    static #toRgba8(data) {
+        if (data instanceof Uint8ClampedArray) return data;
+
+        const pixels = new Uint8ClampedArray(data.length);
+        const scale = data instanceof Uint16Array ? 1 / 257 : data instanceof Float32Array ? 255 : 1;
+
+        for (let i = 0; i < pixels.length; i++) {
+            pixels[i] = data[i] * scale;
+        }
+
+        return pixels;
+    }
+
+    static #createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    static #canvasToBlob(canvas, format) {
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type: format.mimeType, quality: format.quality });
+        }
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) resolve(blob);
+                else reject(new Error(`Could not encode ${format.mimeType}`));
+            }, format.mimeType, format.quality);
+        });
+    }
+}
@@ -0,0 +1,227 @@
+import { ColorHelper } from './ColorHelper.js';
+import { Logger } from './Logger.js';
+
+/**
+ * Effects without an Elementor equivalent, by ag-psd key
+ */
+const UNMAPPED_EFFECTS = {
+    innerShadow: 'inner shadow',
+    outerGlow: 'outer glow',
+    innerGlow: 'inner glow',
+    bevel: 'bevel & emboss',
+    satin: 'satin',
+    patternOverlay: 'pattern overlay'
+};
+
+export default class LayerStyleExtractor {
+    /**
+     * Main entry point
+     * Maps layer opacity, drop shadow, stroke and rounded-rectangle radii
+     * @param {Object} layer - ag-psd layer
+     * @returns {Object|null} {opacity, shadow, border, borderRadius} (only the detected keys)
+     */
+    static extract(layer = {}) {
+        try {
+            const effects = layer.effects && !layer.effects.disabled ? layer.effects : {};
+            const style = {};
+
+            if (typeof layer.opacity === 'number' && layer.opacity < 1) {
+                style.opacity = Math.round(layer.opacity * 100) / 100;
+            }
+
+            const shadow = this.#getShadow(this.#firstEnabled(effects.dropShadow));
+            if (shadow) style.shadow = shadow;
+
+            const border = this.#getBorder(this.#firstEnabled(effects.stroke), layer.vectorStroke);
+            if (border) style.border = border;
+
+            const borderRadius = this.#getBorderRadius(layer.vectorOrigination);
+            if (borderRadius) style.borderRadius = borderRadius;
+
+            return Object.keys(style).length > 0 ? style : null;
+        } catch (error) {
+            Logger.warn('LayerStyleExtractor failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Extract the fill of a shape/image layer
+     * Color and gradient overlays win over the vector fill, like in Photoshop
+     * @param {Object} layer - ag-psd layer
+     * @returns {Object|null} {type: 'solid', color} | {type: 'gradient', gradientType, angle, stops}
+     */
+    static extractFill(layer = {}) {
+        try {
+            const effects = layer.effects && !layer.effects.disabled ? layer.effects : {};
+
+            const gradientOverlay = this.#firstEnabled(effects.gradientOverlay);
+            if (gradientOverlay?.gradient?.type === 'solid') {
+                return this.#toGradient(gradientOverlay.gradient, gradientOverlay);
+            }
+
+            const solidFill = this.#firstEnabled(effects.solidFill);
+            if (solidFill?.color) {
+                return { type: 'solid', color: ColorHelper.toHex(solidFill.color, '#000000') };
+            }
+
+            const vectorFill = layer.vectorFill;
+            if (vectorFill?.type === 'color') {
+                return { type: 'solid', color: ColorHelper.toHex(vectorFill.color, '#000000') };
+            }
+
+            if (vectorFill?.type === 'solid') {
+                return this.#toGradient(vectorFill, vectorFill);
+            }
+
+            return null;
+        } catch (error) {
+            Logger.warn('LayerStyleExtractor failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * List the effects extract()/extractFill() leave out
+     * @param {Object} layer - ag-psd layer
+     * @returns {Array<string>} Effect names, e.g. ["outer glow", "extra drop shadows"]
+     */
+    static getUnmappedEffects(layer = {}) {
+        const effects = layer.effects && !layer.effects.disabled ? layer.effects : {};
+        // Glows, bevel, satin and pattern overlay are single objects, the others lists
+        const enabled = value => [value].flat()
+            .filter(item => item && item.enabled !== false && item.present !== false);
+        const unmapped = [];
+
+        for (const [key, name] of Object.entries(UNMAPPED_EFFECTS)) {
+            if (enabled(effects[key]).length > 0) unmapped.push(name);
+        }
+
+        // Only the first drop shadow and color stroke are mapped
+        if (enabled(effects.dropShadow).length > 1) unmapped.push('extra drop shadows');
+
+        const strokes = enabled(effects.stroke);
+        if (strokes.length > 1) unmapped.push('extra strokes');
+        if (strokes[0] && (strokes[0].fillType ?? 'color') !== 'color') unmapped.push(`${strokes[0].fillType} stroke`);
+
+        // Overlays become fills of shape and image layers only
+        const hasFill = layer.text === undefined && !layer.children?.length;
+        const gradientOverlay = enabled(effects.gradientOverlay)[0];
+        if (gradientOverlay && (!hasFill || gradientOverlay.gradient?.type !== 'solid')) unmapped.push('gradient overlay');
+        if (!hasFill && enabled(effects.solidFill).length > 0) unmapped.push('color overlay');
+
+        if (layer.blendMode && !['normal', 'pass through'].includes(layer.blendMode)) {
+            unmapped.push(`${layer.blendMode} blend mode`);
+        }
+
+        return unmapped;
+    }
+
+    /* ============================
+       Internal helpers
+       ============================ */
+
+    static #firstEnabled(list) {
+        if (!Array.isArray(list)) return null;
+        return list.find(item => item.enabled !== false && item.present !== false) || null;
+    }
+
+    static #getShadow(dropShadow) {
+        if (!dropShadow) return null;
+
+        // Photoshop angle is the light direction, the shadow falls the opposite way
+        const angle = (dropShadow.angle ?? 120) * Math.PI / 180;
+        const distance = this.#px(dropShadow.distance);
+        const size = this.#px(dropShadow.size);
+        const choke = dropShadow.choke?.value ?? 0;
+
+        return {
+            horizontal: Math.round(-Math.cos(angle) * distance),
+            vertical: Math.round(Math.sin(angle) * distance),
+            blur: Math.round(size),
+            spread: Math.round(size * choke / 100),
+            color: ColorHelper.toRgba(dropShadow.color, dropShadow.opacity ?? 0.75, 'rgba(0,0,0,0.75)')
+        };
+    }
+
+    static #getBorder(stroke, vectorStroke) {
+        if (stroke && (stroke.fillType ?? 'color') === 'color') {
+            const width = this.#px(stroke.size);
+            if (width > 0) {
+                return {
+                    style: 'solid',
+                    width: Math.round(width),
+                    color: ColorHelper.toRgba(stroke.color, stroke.opacity ?? 1, '#000000')
+                };
+            }
+        }
+
+        if (vectorStroke && vectorStroke.strokeEnabled !== false && vectorStroke.content?.type === 'color') {
+            const width = this.#px(vectorStroke.lineWidth);
+            if (width > 0) {
+                return {
+                    style: vectorStroke.lineDashSet?.length ? 'dashed' : 'solid',
+                    width: Math.round(width),
+                    color: ColorHelper.toRgba(vectorStroke.content.color, vectorStroke.opacity ?? 1, '#000000')
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Rounded rectangle radii from the live shape data
+     * Elementor order: top = top-left, right = top-right, bottom = bottom-right, left = bottom-left
+     */
+    static #getBorderRadius(vectorOrigination) {
+        const items = vectorOrigination?.keyDescriptorList || [];
+
+        // Ellipses are fully rounded whatever their size
+        if (items.some(item => item.keyOriginType === 5)) {
+            return { unit: '%', top: 50, right: 50, bottom: 50, left: 50 };
+        }
+
+        const radii = items.find(item => item.keyOriginRRectRadii)?.keyOriginRRectRadii;
+        if (!radii) return null;
+
+        return {
+            unit: 'px',
+            top: Math.round(this.#px(radii.topLeft)),
+            right: Math.round(this.#px(radii.topRight)),
+            bottom: Math.round(this.#px(radii.bottomRight)),
+            left: Math.round(this.#px(radii.bottomLeft))
+        };
+    }
+
+    static #px(unitsValue) {
+        if (typeof unitsValue === 'number') return unitsValue;
+        return unitsValue?.value ?? 0;
+    }
+
+    static #toGradient(gradient, info) {
+        const stops = (gradient.colorStops || []).map(stop => ({
+            color: ColorHelper.toHex(stop.color, '#000000'),
+            location: Math.round((stop.location ?? 0) * 100)
+        }));
+
+        if (info.reverse) {
+            stops.reverse().forEach(stop => { stop.location = 100 - stop.location; });
+        }
+
+        return {
+            type: 'gradient',
+            gradientType: info.style === 'radial' ? 'radial' : 'linear',
+            angle: this.#toCssAngle(info.angle ?? 90),
+            stops
+        };
+    }
+
+    /**
+     * Photoshop measures angles counter-clockwise from "left to right",
+     * CSS measures clockwise from "bottom to top"
+     */
+    static #toCssAngle(angle) {
+        return Math.round(((90 - angle) % 360 + 360) % 360);
+    }
+}
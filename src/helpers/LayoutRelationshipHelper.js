@@ -53,6 +53,22 @@ export class LayoutRelationshipHelper {
         return "overlapping";
     }
 
+    /**
+     * Determine the horizontal alignment of a box inside its parent, from the space left on either side
+     * Returns: left | center | right
+     */
+    static getHorizontalAlignment(bounds, parentBounds) {
+        const spaceLeft = bounds.left - parentBounds.left;
+        const spaceRight = parentBounds.right - bounds.right;
+        const tolerance = Math.max(2, (parentBounds.right - parentBounds.left) * 0.02);
+
+        if (Math.abs(spaceLeft - spaceRight) <= tolerance) {
+            return "center";
+        }
+
+        return spaceLeft < spaceRight ? "left" : "right";
+    }
+
     /**
      * Infer flex-direction based on layout
      * Returns: row | row-reverse | column | column-reverse
@@ -0,0 +1,52 @@
+/**
+ * Logger
+ * Debug output of the conversion pipeline, silent unless a sink is set
+ */
+
+export class Logger {
+
+    static #sink = null;
+
+    /**
+     * Route pipeline logging to a console-like object
+     * @param {Object|null} sink - Object with log/warn methods (e.g. console), null to mute
+     */
+    static setSink(sink) {
+        this.#sink = sink || null;
+    }
+
+    /**
+     * Get the current sink
+     * @returns {Object|null}
+     */
+    static getSink() {
+        return this.#sink;
+    }
+
+    /**
+     * Run synchronous work with its own sink, then restore the current one
+     * Work that awaits would hand its sink to whatever runs meanwhile, so keep fn synchronous
+     * @param {Object|null|undefined} sink - Sink for fn, undefined keeps the current one
+     * @param {Function} fn - Synchronous work
+     * @returns {*} What fn returns
+     */
+    static withSink(sink, fn) {
+        if (sink === undefined) return fn();
+
+        const previous = this.#sink;
+        this.#sink = sink || null;
+        try {
+            return fn();
+        } finally {
+            this.#sink = previous;
+        }
+    }
+
+    static debug(...args) {
+        this.#sink?.log?.(...args);
+    }
+
+    static warn(...args) {
+        this.#sink?.warn?.(...args);
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * PNG Encoder
+ * Minimal RGBA PNG writer for runtimes without a canvas (Node CLI)
+ */
+
+import { zlibSync } from 'fflate';
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+let crcTable = null;
+
+export class PngEncoder {
+
+    /**
+     * Encode 8-bit RGBA pixels as a PNG file
+     * @param {Object} image - {data: Uint8ClampedArray|Uint8Array, width, height}
+     * @returns {Uint8Array} PNG bytes
+     */
+    static encode({ data, width, height }) {
+        // Each scanline starts with a filter byte (0 = none)
+        const stride = width * 4;
+        const raw = new Uint8Array((stride + 1) * height);
+        for (let y = 0; y < height; y++) {
+            raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+        }
+
+        const header = new Uint8Array(13);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        header[8] = 8;  // Bit depth
+        header[9] = 6;  // Color type: RGBA
+
+        return this.#concat([
+            new Uint8Array(SIGNATURE),
+            this.#chunk('IHDR', header),
+            this.#chunk('IDAT', zlibSync(raw, { level: 6 })),
+            this.#chunk('IEND', new Uint8Array(0))
+        ]);
+    }
+
+    /* ============================
+       Internal helpers
+       ============================ */
+
+    static #chunk(type, data) {
+        const chunk = new Uint8Array(data.length + 12);
+        const view = new DataView(chunk.buffer);
+
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(data.length + 8, this.#crc32(chunk.subarray(4, data.length + 8)));
+
+        return chunk;
+    }
+
+    static #crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    static #concat(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+}
@@ -0,0 +1,292 @@
+/**
+ * Project Store
+ * Keeps conversion projects in IndexedDB and reads/writes project files
+ *
+ * PROJECT:
+ * - id, name, savedAt
+ * - options      Conversion options (smart detection, images, artboard mode)
+ * - documents    Parsed PSDs {fileName, width, height, layers, ignoredLayers, artboards, composite, assets}
+ * - pages        Edited trees {document, classifiedLayers, breakpoints: [{device, classifiedLayers}]}
+ * - activePage   Page shown when the project is reopened
+ *
+ * STORAGE:
+ * - projects     Summaries {id, name, savedAt, pages}, listed by savedAt
+ * - documents    Parsed PSDs with their composites and assets, written once per project
+ * - edits        Options and edited trees, rewritten on every save
+ */
+
+export class ProjectStore {
+
+    static DB_NAME = 'psd-to-elementor';
+    static DB_VERSION = 2;
+    static STORE = 'projects';
+    static DOCUMENTS_STORE = 'documents';
+    static EDITS_STORE = 'edits';
+
+    /**
+     * Projects kept, the least recently saved ones are deleted beyond it
+     */
+    static MAX_PROJECTS = 20;
+
+    /**
+     * Project file format marker and version
+     */
+    static FILE_FORMAT = 'psd-to-elementor-project';
+    static FILE_VERSION = 1;
+
+    static #db = null;
+
+    /**
+     * Save (insert or replace) a whole project, parsed documents included
+     * Projects beyond MAX_PROJECTS are deleted, least recently saved first
+     * @param {Object} project - Project with an id
+     * @returns {Promise<string>} Project id
+     */
+    static async save(project) {
+        const { documents, ...edits } = project;
+
+        await this.#request('readwrite', stores => {
+            stores[this.DOCUMENTS_STORE].put({ id: project.id, documents });
+            this.#putEdits(stores, edits);
+        });
+        await this.#prune();
+
+        return project.id;
+    }
+
+    /**
+     * Save the options and edited trees of a project saved before
+     * The parsed documents stay as they were stored by save()
+     * @param {Object} project - Project with an id (documents are ignored)
+     * @returns {Promise<string>} Project id
+     */
+    static async saveEdits(project) {
+        const { documents, ...edits } = project;
+
+        await this.#request('readwrite', stores => this.#putEdits(stores, edits));
+        return project.id;
+    }
+
+    /**
+     * List saved projects, most recent first
+     * Only the summaries are read
+     * @param {number} limit - Maximum number of projects
+     * @returns {Promise<Array>} Summaries {id, name, savedAt, pages}
+     */
+    static async list(limit = 10) {
+        const projects = [];
+
+        await this.#request('readonly', stores => {
+            const cursor = stores[this.STORE].index('savedAt').openCursor(null, 'prev');
+            cursor.onsuccess = () => {
+                if (!cursor.result || projects.length >= limit) return;
+                projects.push(cursor.result.value);
+                cursor.result.continue();
+            };
+        }, [this.STORE]);
+
+        return projects;
+    }
+
+    /**
+     * Load a project
+     * @param {string} id - Project id
+     * @returns {Promise<Object|null>} Project or null
+     */
+    static async load(id) {
+        const requests = await this.#request('readonly', stores => ({
+            documents: stores[this.DOCUMENTS_STORE].get(id),
+            edits: stores[this.EDITS_STORE].get(id)
+        }), [this.DOCUMENTS_STORE, this.EDITS_STORE]);
+
+        const documents = requests.documents.result;
+        const edits = requests.edits.result;
+        if (!documents || !edits) return null;
+
+        return { ...edits, documents: documents.documents };
+    }
+
+    /**
+     * Delete a project
+     * @param {string} id - Project id
+     */
+    static async remove(id) {
+        await this.#request('readwrite', stores => this.#delete(stores, id));
+    }
+
+    /**
+     * Serialize a project to a file that can be imported elsewhere
+     * Exported images are embedded as data URLs, the composite preview is left out
+     * @param {Object} project - Project
+     * @returns {Promise<Blob>} JSON file
+     */
+    static async toFile(project) {
+        const documents = [];
+
+        for (const entry of project.documents) {
+            const assets = [];
+            for (const { blob, ...asset } of entry.assets || []) {
+                assets.push({ ...asset, dataUrl: await this.#toDataUrl(blob) });
+            }
+            documents.push({ ...entry, composite: null, assets });
+        }
+
+        const file = {
+            format: this.FILE_FORMAT,
+            version: this.FILE_VERSION,
+            project: { ...project, documents }
+        };
+
+        return new Blob([JSON.stringify(file)], { type: 'application/json' });
+    }
+
+    /**
+     * Read a project file
+     * @param {Blob} file - File created by toFile()
+     * @returns {Promise<Object>} Project
+     */
+    static async fromFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch {
+            throw new Error('Not a project file');
+        }
+
+        if (data?.format !== this.FILE_FORMAT || !data.project) {
+            throw new Error('Not a project file');
+        }
+        if (data.version > this.FILE_VERSION) {
+            throw new Error(`Project file version ${data.version} is not supported`);
+        }
+
+        const project = data.project;
+        for (const entry of project.documents || []) {
+            entry.assets = await Promise.all((entry.assets || []).map(async ({ dataUrl, ...asset }) => ({
+                ...asset,
+                blob: await (await fetch(dataUrl)).blob()
+            })));
+        }
+
+        return project;
+    }
+
+    /**
+     * Write the summary and the edits record of a project
+     */
+    static #putEdits(stores, edits) {
+        const savedAt = Date.now();
+
+        stores[this.STORE].put({
+            id: edits.id,
+            name: edits.name,
+            savedAt,
+            pages: (edits.pages || []).length
+        });
+        stores[this.EDITS_STORE].put({ ...edits, savedAt });
+    }
+
+    static #delete(stores, id) {
+        for (const store of Object.values(stores)) {
+            store.delete(id);
+        }
+    }
+
+    /**
+     * Delete the least recently saved projects beyond MAX_PROJECTS
+     */
+    static async #prune() {
+        await this.#request('readwrite', stores => {
+            const summaries = stores[this.STORE];
+            const count = summaries.count();
+
+            count.onsuccess = () => {
+                let excess = count.result - this.MAX_PROJECTS;
+                if (excess <= 0) return;
+
+                const cursor = summaries.index('savedAt').openKeyCursor();
+                cursor.onsuccess = () => {
+                    if (!cursor.result || excess-- <= 0) return;
+                    this.#delete(stores, cursor.result.primaryKey);
+                    cursor.result.continue();
+                };
+            };
+        });
+    }
+
+    /**
+     * Run requests in one transaction
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} run - Gets the stores by name, returns what the transaction resolves to
+     * @param {Array<string>} storeNames - Stores of the transaction (default: all)
+     */
+    static async #request(mode, run, storeNames = [this.STORE, this.DOCUMENTS_STORE, this.EDITS_STORE]) {
+        const db = await this.#open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+            const result = run(stores);
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    static #open() {
+        if (this.#db) return Promise.resolve(this.#db);
+
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const projects = event.oldVersion < 1
+                    ? db.createObjectStore(this.STORE, { keyPath: 'id' })
+                    : request.transaction.objectStore(this.STORE);
+
+                if (event.oldVersion < 2) {
+                    const documents = db.createObjectStore(this.DOCUMENTS_STORE, { keyPath: 'id' });
+                    const edits = db.createObjectStore(this.EDITS_STORE, { keyPath: 'id' });
+                    projects.createIndex('savedAt', 'savedAt');
+
+                    // Version 1 kept whole projects in the projects store, they are split up
+                    projects.openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor) return;
+
+                        const { documents: entries, ...project } = cursor.value;
+                        documents.put({ id: project.id, documents: entries });
+                        edits.put(project);
+                        cursor.update({
+                            id: project.id,
+                            name: project.name,
+                            savedAt: project.savedAt,
+                            pages: (project.pages || []).length
+                        });
+                        cursor.continue();
+                    };
+                }
+            };
+            request.onsuccess = () => {
+                this.#db = request.result;
+                resolve(this.#db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static #toDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+}
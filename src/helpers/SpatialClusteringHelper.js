@@ -3,6 +3,8 @@
  * Groups layers based on spatial proximity using DBSCAN-like algorithm
  */
 
+import { SpatialIndex } from './SpatialIndex.js';
+
 export class SpatialClusteringHelper {
 
     /**
@@ -24,10 +26,17 @@ export class SpatialClusteringHelper {
         const visited = new Set();
         const clusters = [];
 
+        // Layers are bucketed by their bounds padded with the threshold (+1px against rounding),
+        // so only layers sharing a bucket can be close enough
+        const index = new SpatialIndex(
+            layers.map(layer => this.padBounds(layer.bounds, threshold + 1)),
+            Math.max(SpatialIndex.DEFAULT_CELL_SIZE, threshold * 2)
+        );
+
         for (const layer of layers) {
             if (visited.has(layer.id)) continue;
 
-            const cluster = this.expandCluster(layer, layers, threshold, visited);
+            const cluster = this.expandCluster(layer, layers, index, threshold, visited);
             if (cluster.length > 0) {
                 clusters.push(cluster);
             }
@@ -37,24 +46,21 @@ export class SpatialClusteringHelper {
     }
 
     /**
-     * Expand a cluster from a seed layer
+     * Expand a cluster from a seed layer (breadth-first)
      * @private
      */
-    static expandCluster(seed, allLayers, threshold, visited) {
+    static expandCluster(seed, allLayers, index, threshold, visited) {
         const cluster = [seed];
         visited.add(seed.id);
 
-        const queue = [seed];
-
-        while (queue.length > 0) {
-            const current = queue.shift();
-            const neighbors = this.findNeighbors(current, allLayers, threshold);
+        // The cluster doubles as the queue, `next` walks it without shifting
+        for (let next = 0; next < cluster.length; next++) {
+            const neighbors = this.findNeighbors(cluster[next], allLayers, index, threshold);
 
             for (const neighbor of neighbors) {
                 if (!visited.has(neighbor.id)) {
                     visited.add(neighbor.id);
                     cluster.push(neighbor);
-                    queue.push(neighbor);
                 }
             }
         }
@@ -64,13 +70,34 @@ export class SpatialClusteringHelper {
 
     /**
      * Find all layers within threshold distance of a given layer
+     * Neighbors come back in the order of allLayers
      * @private
      */
-    static findNeighbors(layer, allLayers, threshold) {
-        return allLayers.filter(other => {
-            if (other.id === layer.id) return false;
-            return this.getMinDistance(layer.bounds, other.bounds) <= threshold;
-        });
+    static findNeighbors(layer, allLayers, index, threshold) {
+        const neighbors = [];
+
+        for (const candidate of index.query(layer.bounds)) {
+            const other = allLayers[candidate];
+            if (other.id !== layer.id && this.getMinDistance(layer.bounds, other.bounds) <= threshold) {
+                neighbors.push(candidate);
+            }
+        }
+
+        // Only the few actual neighbors are sorted, the cluster order depends on it
+        return neighbors.sort((a, b) => a - b).map(candidate => allLayers[candidate]);
+    }
+
+    /**
+     * Grow bounds by a margin on every side
+     * @private
+     */
+    static padBounds(bounds, padding) {
+        return {
+            top: bounds.top - padding,
+            left: bounds.left - padding,
+            right: bounds.right + padding,
+            bottom: bounds.bottom + padding
+        };
     }
 
     /**
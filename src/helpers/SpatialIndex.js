@@ -0,0 +1,107 @@
+/**
+ * Spatial Index
+ * Uniform grid of buckets for fast "which boxes are near this box" queries
+ */
+
+export class SpatialIndex {
+
+    /**
+     * Default bucket size (in pixels), about the size of a text line or a button,
+     * so a query walks few cells without collecting many far-away boxes
+     */
+    static DEFAULT_CELL_SIZE = 128;
+
+    /**
+     * Index a list of boxes
+     * @param {Array} boxes - Boxes {top, left, right, bottom}, queried by their position in the list
+     * @param {number} cellSize - Bucket size in pixels
+     */
+    constructor(boxes, cellSize = SpatialIndex.DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.size = boxes.length;
+        this.buckets = new Map(); // Cell number (row * columns + column) -> box indexes
+        this.loose = []; // Boxes without usable coordinates, part of every result
+        this.marks = new Uint32Array(boxes.length);
+        this.queryId = 0;
+
+        // Cells are numbered inside the area covered by the boxes, queries are clipped to it
+        let left = Infinity, right = -Infinity, top = Infinity, bottom = -Infinity;
+        for (const box of boxes) {
+            if (!SpatialIndex.#isRegular(box)) continue;
+            left = Math.min(left, box.left);
+            right = Math.max(right, box.right);
+            top = Math.min(top, box.top);
+            bottom = Math.max(bottom, box.bottom);
+        }
+        this.minX = Math.floor(left / cellSize);
+        this.maxX = Math.floor(right / cellSize);
+        this.minY = Math.floor(top / cellSize);
+        this.maxY = Math.floor(bottom / cellSize);
+        this.columns = this.maxX - this.minX + 1;
+
+        boxes.forEach((box, index) => {
+            if (SpatialIndex.#isRegular(box)) {
+                this.#forEachCell(box, bucket => bucket.push(index), true);
+            } else {
+                this.loose.push(index);
+            }
+        });
+    }
+
+    /**
+     * Get the indexes of the boxes intersecting (or touching) an area
+     * @param {Object} area - Area {top, left, right, bottom}
+     * @returns {Array<number>} Box indexes, in no particular order
+     */
+    query(area) {
+        if (!SpatialIndex.#isRegular(area)) {
+            return Array.from({ length: this.size }, (_, index) => index);
+        }
+
+        // Loose boxes are never in a bucket, no duplicates to skip
+        const result = [...this.loose];
+        const queryId = ++this.queryId;
+
+        this.#forEachCell(area, bucket => {
+            for (const index of bucket) {
+                // A box spanning several cells is only reported once
+                if (this.marks[index] === queryId) continue;
+                this.marks[index] = queryId;
+                result.push(index);
+            }
+        }, false);
+
+        return result;
+    }
+
+    static #isRegular(box) {
+        return !!box
+            && Number.isFinite(box.left) && Number.isFinite(box.right)
+            && Number.isFinite(box.top) && Number.isFinite(box.bottom)
+            && box.right >= box.left && box.bottom >= box.top;
+    }
+
+    #forEachCell(box, callback, create) {
+        const minX = Math.max(this.minX, Math.floor(box.left / this.cellSize));
+        const maxX = Math.min(this.maxX, Math.floor(box.right / this.cellSize));
+        const minY = Math.max(this.minY, Math.floor(box.top / this.cellSize));
+        const maxY = Math.min(this.maxY, Math.floor(box.bottom / this.cellSize));
+
+        for (let y = minY; y <= maxY; y++) {
+            const row = (y - this.minY) * this.columns - this.minX;
+
+            for (let x = minX; x <= maxX; x++) {
+                const key = row + x;
+                let bucket = this.buckets.get(key);
+
+                if (!bucket) {
+                    if (!create) continue;
+                    bucket = [];
+                    this.buckets.set(key, bucket);
+                }
+
+                callback(bucket);
+            }
+        }
+    }
+}
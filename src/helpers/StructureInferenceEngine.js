@@ -18,17 +18,20 @@ export class StructureInferenceEngine {
         BUTTON_ASPECT_MIN: 2,
         BUTTON_ASPECT_MAX: 6,
         ICON_MAX_SIZE: 100,
+        DIVIDER_MAX_THICKNESS: 6,
+        DIVIDER_ASPECT_MIN: 10,
+        SPACER_MIN_GAP: 24,
         PROXIMITY_THRESHOLD: 20,
     };
 
     /**
      * Infer widget type for a cluster of layers
      * @param {Array} cluster - Array of layers that form a logical group
-     * @returns {Object} {widgetType, confidence, layers}
+     * @returns {Object} {widgetType, confidence, reason, layers}
      */
     static inferWidgetType(cluster) {
         if (!cluster || cluster.length === 0) {
-            return { widgetType: 'container', confidence: 0, layers: [] };
+            return { widgetType: 'container', confidence: 0, reason: 'empty cluster', layers: [] };
         }
 
         // Single layer - classify directly
@@ -44,6 +47,7 @@ export class StructureInferenceEngine {
             return {
                 widgetType: 'image-box',
                 confidence: 0.85,
+                reason: 'image with a heading',
                 layers: cluster,
                 compositeData: this.extractImageBoxData(cluster, composition)
             };
@@ -54,6 +58,7 @@ export class StructureInferenceEngine {
             return {
                 widgetType: 'icon-box',
                 confidence: 0.8,
+                reason: `icon (≤ ${this.THRESHOLDS.ICON_MAX_SIZE}px) with a heading and text`,
                 layers: cluster,
                 compositeData: this.extractIconBoxData(cluster, composition)
             };
@@ -64,6 +69,7 @@ export class StructureInferenceEngine {
             return {
                 widgetType: 'button',
                 confidence: 0.75,
+                reason: 'button-shaped layer with a single text',
                 layers: cluster
             };
         }
@@ -73,6 +79,7 @@ export class StructureInferenceEngine {
             return {
                 widgetType: 'icon-list',
                 confidence: 0.7,
+                reason: `${composition.textCount} texts without an image`,
                 layers: cluster,
                 compositeData: { listItems: composition.texts }
             };
@@ -82,6 +89,7 @@ export class StructureInferenceEngine {
         return {
             widgetType: 'container',
             confidence: 0.5,
+            reason: `${cluster.length} layers matching no widget pattern`,
             layers: cluster
         };
     }
@@ -95,22 +103,42 @@ export class StructureInferenceEngine {
         if (layer.type === 'text' || layer.textInfo) {
             const fontSize = layer.textInfo?.fontSize || 16;
             if (fontSize >= this.THRESHOLDS.HEADING_FONT_SIZE) {
-                return { widgetType: 'heading', confidence: 0.9, layers: [layer] };
+                return {
+                    widgetType: 'heading',
+                    confidence: 0.9,
+                    reason: `font size ${fontSize} ≥ HEADING_FONT_SIZE (${this.THRESHOLDS.HEADING_FONT_SIZE})`,
+                    layers: [layer]
+                };
             }
-            return { widgetType: 'text-editor', confidence: 0.9, layers: [layer] };
+            return {
+                widgetType: 'text-editor',
+                confidence: 0.9,
+                reason: `font size ${fontSize} < HEADING_FONT_SIZE (${this.THRESHOLDS.HEADING_FONT_SIZE})`,
+                layers: [layer]
+            };
+        }
+
+        // Thin horizontal line
+        if (this.isDividerShape(layer)) {
+            return { widgetType: 'divider', confidence: 0.8, reason: this.describeDividerShape(layer), layers: [layer] };
+        }
+
+        // Transparent box keeping a gap
+        if (layer.isTransparent) {
+            return { widgetType: 'spacer', confidence: 0.6, reason: 'transparent layer', layers: [layer] };
         }
 
         // Check for button-like shape
         if (this.isButtonShape(layer)) {
-            return { widgetType: 'button', confidence: 0.7, layers: [layer] };
+            return { widgetType: 'button', confidence: 0.7, reason: this.describeButtonShape(layer), layers: [layer] };
         }
 
         // Image or shape
         if (layer.type === 'image' || layer.type === 'shape' || layer.hasImage) {
-            return { widgetType: 'image', confidence: 0.85, layers: [layer] };
+            return { widgetType: 'image', confidence: 0.85, reason: `${layer.type} layer`, layers: [layer] };
         }
 
-        return { widgetType: 'container', confidence: 0.3, layers: [layer] };
+        return { widgetType: 'container', confidence: 0.3, reason: 'no text or image content', layers: [layer] };
     }
 
     /**
@@ -148,6 +176,11 @@ export class StructureInferenceEngine {
                 continue;
             }
 
+            // Lines and gaps aren't content
+            if (this.isDividerShape(layer) || layer.isTransparent) {
+                continue;
+            }
+
             // Image/shape analysis
             if (layer.type === 'image' || layer.type === 'shape' || layer.hasImage) {
                 composition.imageCount++;
@@ -191,6 +224,111 @@ export class StructureInferenceEngine {
         );
     }
 
+    /**
+     * Explain why a layer counts as button-shaped
+     * @param {Object} layer - Layer with bounds
+     * @returns {string} e.g. "aspect ratio 3.2 within button range (2-6)"
+     */
+    static describeButtonShape(layer) {
+        const { width, height } = layer.bounds;
+        const ratio = Math.round(width / height * 10) / 10;
+
+        return `aspect ratio ${ratio} within button range (${this.THRESHOLDS.BUTTON_ASPECT_MIN}-${this.THRESHOLDS.BUTTON_ASPECT_MAX})`;
+    }
+
+    /**
+     * Check if a layer is a thin horizontal line
+     * @param {Object} layer - Layer with bounds
+     * @returns {boolean}
+     */
+    static isDividerShape(layer) {
+        if (layer.type === 'text' || layer.textInfo || layer.isTransparent) return false;
+
+        const { width, height } = layer.bounds || {};
+        if (!width || !height) return false;
+
+        return (
+            height <= this.THRESHOLDS.DIVIDER_MAX_THICKNESS &&
+            width / height >= this.THRESHOLDS.DIVIDER_ASPECT_MIN
+        );
+    }
+
+    /**
+     * Explain why a layer counts as a divider
+     * @param {Object} layer - Layer with bounds
+     * @returns {string} e.g. "2px thick, aspect ratio 300 ≥ DIVIDER_ASPECT_MIN (10)"
+     */
+    static describeDividerShape(layer) {
+        const { width, height } = layer.bounds;
+        const ratio = Math.round(width / height * 10) / 10;
+
+        return `${height}px thick, aspect ratio ${ratio} ≥ DIVIDER_ASPECT_MIN (${this.THRESHOLDS.DIVIDER_ASPECT_MIN})`;
+    }
+
+    /**
+     * Fill the empty vertical gaps between stacked sections with spacers
+     * Root sections sit flush in Elementor, the gap between them would be lost otherwise.
+     * Gaps are measured top to bottom whatever the layer order (PSDs list the bottom of the stack first),
+     * each spacer goes next to the lower section, on the side of the section above it
+     * @param {Array} layers - Classified sibling layers
+     * @returns {Array} The layers, with a spacer between each pair of sections
+     *   at least SPACER_MIN_GAP apart
+     */
+    static insertGapSpacers(layers) {
+        const stacked = layers
+            .filter(layer => layer.visible !== false && layer.bounds)
+            .sort((a, b) => a.bounds.top - b.bounds.top);
+
+        // Lower section -> spacer above it
+        const spacers = new Map();
+        let previous = null;
+
+        for (const layer of stacked) {
+            if (previous?.widgetType === 'container' && layer.widgetType === 'container' &&
+                layer.bounds.top - previous.bounds.bottom >= this.THRESHOLDS.SPACER_MIN_GAP) {
+                spacers.set(layer, {
+                    spacer: this.buildGapSpacer(previous.bounds, layer.bounds),
+                    before: layers.indexOf(previous) < layers.indexOf(layer)
+                });
+            }
+
+            // The gap starts below whatever reaches furthest down so far
+            if (!previous || layer.bounds.bottom > previous.bounds.bottom) {
+                previous = layer;
+            }
+        }
+
+        return layers.flatMap(layer => {
+            const entry = spacers.get(layer);
+            if (!entry) return [layer];
+            return entry.before ? [entry.spacer, layer] : [layer, entry.spacer];
+        });
+    }
+
+    /**
+     * Build a spacer layer covering the gap between two stacked sections
+     * @private
+     */
+    static buildGapSpacer(above, below) {
+        const left = Math.min(above.left, below.left);
+        const right = Math.max(above.right, below.right);
+        const height = below.top - above.bottom;
+
+        return {
+            id: generateId(),
+            name: 'Spacer',
+            type: 'spacer',
+            widgetType: 'spacer',
+            visible: true,
+            bounds: { top: above.bottom, left, right, bottom: below.top, width: right - left, height },
+            children: [],
+            badgeClass: 'spacer',
+            isGapSpacer: true,
+            confidence: 0.6,
+            reason: `${height}px gap between sections ≥ SPACER_MIN_GAP (${this.THRESHOLDS.SPACER_MIN_GAP})`
+        };
+    }
+
     /**
      * Extract data for image-box widget
      * @private
@@ -296,7 +434,8 @@ export class StructureInferenceEngine {
             bounds: bounds,
             children: [],
             isSmartDetected: true,
-            confidence: inference.confidence
+            confidence: inference.confidence,
+            reason: inference.reason
         };
 
         // Add composite data if available
@@ -307,19 +446,27 @@ export class StructureInferenceEngine {
             // CRITICAL: Set children to the original layers for composite widgets
             // This is required by templates like imageBoxTemplate.js which classify children
             if (inference.layers && inference.layers.length > 0) {
-                layer.children = inference.layers.map(l => ({
-                    ...l,
-                    widgetType: this.classifySingleLayer(l).widgetType,
-                    badgeClass: l.type === 'text' ?
-                        (l.textInfo?.fontSize >= 24 ? 'heading' : 'text') :
-                        (l.hasImage || l.type === 'image' ? 'image' : 'container')
-                }));
+                layer.children = inference.layers.map(l => {
+                    const single = this.classifySingleLayer(l);
+                    return {
+                        ...l,
+                        widgetType: single.widgetType,
+                        confidence: single.confidence,
+                        reason: single.reason,
+                        badgeClass: l.type === 'text' ?
+                            (l.textInfo?.fontSize >= 24 ? 'heading' : 'text') :
+                            (l.hasImage || l.type === 'image' ? 'image' : 'container')
+                    };
+                });
             }
         }
 
         // For non-composite containers, children should be set by caller
         if (inference.widgetType === 'container' && inference.layers) {
             layer.sourceLayerCount = inference.layers.length;
+        } else if (inference.layers) {
+            // Layers the widget was built from, it gets a new id of its own
+            layer.sourceLayerIds = inference.layers.map(l => l.id);
         }
 
         // Copy text info for text widgets
@@ -328,6 +475,17 @@ export class StructureInferenceEngine {
             layer.textInfo = inference.layers[0].textInfo;
         }
 
+        // Copy exported bitmap for single-layer image widgets
+        if (inference.widgetType === 'image' && inference.layers[0]?.imageAsset) {
+            layer.imageAsset = inference.layers[0].imageAsset;
+        }
+
+        // Copy fill and stroke, the color and style of the line
+        if (inference.widgetType === 'divider') {
+            layer.fill = inference.layers[0].fill;
+            layer.style = inference.layers[0].style;
+        }
+
         return layer;
     }
 }
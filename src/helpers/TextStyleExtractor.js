@@ -1,33 +1,47 @@
+import { Logger } from './Logger.js';
+import { FontHelper } from './FontHelper.js';
+
 export default class TextStyleExtractor {
     /**
      * Main entry point
+     * Widget-level typography comes from the dominant style run
+     * (the one covering most characters), `paragraphs` keeps every run
+     * Fonts are resolved from their PostScript names (FontHelper), `fonts` lists every visible one
      * @param {Object} textData - PSD text layer data
      * @returns {Object} normalized text style object
      */
     static extract(textData = {}) {
         // console.log("TextStyleExtractor: ", textData);
         try {
-            const style = textData.style || {};
-            const paragraphStyle = textData.paragraphStyle || {};
             const transform = textData.transform || [];
+            const scale = this.#getAverageScale(transform);
+
+            const styleRuns = this.#getRuns(textData.text, textData.styleRuns, textData.style);
+            const paragraphRuns = this.#getRuns(textData.text, textData.paragraphStyleRuns, textData.paragraphStyle);
+
+            const style = this.#getDominant(styleRuns, textData.text, run => this.#normalizeRun(run.style, scale)) || {};
+            const paragraphStyle = this.#getDominant(paragraphRuns, textData.text, run => run.style.justification) || {};
 
             const fontSize = style.fontSize || 16;
-            const scale = this.#getAverageScale(transform);
             const finalFontSize = Math.round(fontSize * scale);
+            const font = this.#getFont(style);
 
             return {
                 text: textData.text || '',
                 fontSize: finalFontSize,
-                fontFamily: this.#getFontFamily(style.font?.name),
+                fontFamily: font.family,
                 color: this.#extractColor(style.fillColor),
                 alignment: this.#getAlignment(paragraphStyle.justification),
-                fontWeight: this.#getFontWeight(style),
+                fontWeight: font.weight,
+                fontStyle: font.style,
                 lineHeight: this.#getLineHeight(style),
                 textTransform: this.#getTextTransform(style.fontCaps),
-                letterSpacing: this.#getLetterSpacing(style.tracking)
+                letterSpacing: this.#getLetterSpacing(style.tracking),
+                paragraphs: this.#getParagraphs(textData.text || '', styleRuns, paragraphRuns, scale),
+                fonts: this.#getFonts(styleRuns, textData.text)
             };
         } catch (error) {
-            console.warn('TextStyleExtractor failed:', error);
+            Logger.warn('TextStyleExtractor failed:', error);
             return this.#getFallback(textData);
         }
     }
@@ -42,11 +56,113 @@ export default class TextStyleExtractor {
         return (scaleX + scaleY) / 2;
     }
 
-    static #getFontWeight(style) {
-        if (style.fauxBold) return 'bold';
+    /**
+     * Turn ag-psd length-based runs into absolute ranges
+     * Run styles only hold overrides, the base style fills the rest
+     */
+    static #getRuns(text = '', runs, baseStyle = {}) {
+        if (!Array.isArray(runs) || runs.length === 0) {
+            return [{ start: 0, end: text.length, style: baseStyle || {} }];
+        }
+
+        let start = 0;
+        return runs.map(run => {
+            const range = { start, end: start + run.length, style: { ...baseStyle, ...run.style } };
+            start = range.end;
+            return range;
+        });
+    }
+
+    /**
+     * Style of the runs covering most visible characters
+     * @param {Function} getKey - Groups runs that look the same
+     */
+    static #getDominant(runs, text = '', getKey) {
+        const totals = new Map();
+        let best = null;
+
+        for (const run of runs) {
+            const key = JSON.stringify(getKey(run) ?? null);
+            const length = text.slice(run.start, run.end).replace(/\s/g, '').length;
+            const total = (totals.get(key)?.total || 0) + length;
+            const entry = { total, style: totals.get(key)?.style || run.style };
+            totals.set(key, entry);
+
+            if (!best || entry.total > best.total) best = entry;
+        }
+
+        return best?.style || null;
+    }
+
+    /**
+     * Split the text into paragraphs of styled runs
+     * @returns {Array} [{alignment, runs: [{text, fontFamily, fontSize, fontWeight (100-900), fontStyle, color, underline}]}]
+     */
+    static #getParagraphs(text, styleRuns, paragraphRuns, scale) {
+        const paragraphs = [];
+        const breaks = /\r\n|\r|\n/g;
+        let start = 0;
+        let match;
+
+        const addParagraph = (end) => {
+            const paragraphStyle = paragraphRuns.find(run => start < run.end)?.style
+                || paragraphRuns[paragraphRuns.length - 1]?.style || {};
+
+            const runs = styleRuns
+                .filter(run => run.end > start && run.start < end)
+                .map(run => ({
+                    text: text.slice(Math.max(run.start, start), Math.min(run.end, end)),
+                    ...this.#normalizeRun(run.style, scale)
+                }))
+                .filter(run => run.text.length > 0);
+
+            paragraphs.push({ alignment: this.#getAlignment(paragraphStyle.justification), runs });
+        };
+
+        while ((match = breaks.exec(text)) !== null) {
+            addParagraph(match.index);
+            start = match.index + match[0].length;
+        }
+        addParagraph(text.length);
+
+        return paragraphs;
+    }
+
+    static #normalizeRun(style = {}, scale = 1) {
+        const font = this.#getFont(style);
+
+        return {
+            fontFamily: font.family,
+            fontSize: Math.round((style.fontSize || 16) * scale),
+            fontWeight: font.weight,
+            fontStyle: font.style,
+            color: this.#extractColor(style.fillColor),
+            underline: !!style.underline
+        };
+    }
+
+    static #getFont(style) {
+        return FontHelper.resolve(style.font?.name, {
+            fauxBold: !!style.fauxBold,
+            fauxItalic: !!style.fauxItalic
+        });
+    }
+
+    /**
+     * Resolved fonts of the runs holding visible characters
+     * (Photoshop gives line breaks fonts like AdobeInvisFont)
+     */
+    static #getFonts(runs, text = '') {
+        const fonts = new Map();
+
+        for (const run of runs) {
+            if (!run.style.font?.name || !text.slice(run.start, run.end).trim()) continue;
+
+            const font = this.#getFont(run.style);
+            fonts.set(`${font.postScriptName}|${font.weight}|${font.style}`, font);
+        }
 
-        const name = style.font?.name?.toLowerCase() || '';
-        return name.includes('bold') ? 'bold' : 'normal';
+        return [...fonts.values()];
     }
 
     static #getLineHeight(style) {
@@ -91,37 +207,6 @@ export default class TextStyleExtractor {
         );
     }
 
-    static #getFontFamily(psdFontName) {
-        if (!psdFontName) return 'Arial';
-
-        const map = {
-            'ArialMT': 'Arial',
-            'Arial-BoldMT': 'Arial',
-            'Helvetica': 'Helvetica',
-            'HelveticaNeue': 'Helvetica Neue',
-            'TimesNewRomanPSMT': 'Times New Roman',
-            'TimesNewRomanPS-BoldMT': 'Times New Roman',
-            'Verdana': 'Verdana',
-            'Georgia': 'Georgia',
-            'CourierNewPSMT': 'Courier New',
-            'Roboto-Regular': 'Roboto',
-            'Roboto-Bold': 'Roboto',
-            'OpenSans-Regular': 'Open Sans',
-            'OpenSans-Bold': 'Open Sans',
-            'Lato-Regular': 'Lato',
-            'Montserrat-Regular': 'Montserrat',
-            'Poppins-Regular': 'Poppins'
-        };
-
-        if (map[psdFontName]) return map[psdFontName];
-
-        return psdFontName
-            .replace(/-?(Bold|Italic|Regular|Light|Medium|Black).*/i, '')
-            .replace(/(MT|PS|PSMT)$/i, '')
-            .replace(/([a-z])([A-Z])/g, '$1 $2')
-            .trim();
-    }
-
     static #getTextTransform(fontCaps) {
         if (fontCaps === 1 || fontCaps === 2) return 'uppercase';
         return 'none';
@@ -134,10 +219,12 @@ export default class TextStyleExtractor {
             fontFamily: 'Arial',
             color: '#000000',
             alignment: 'left',
-            fontWeight: 'normal',
+            fontWeight: 400,
+            fontStyle: 'normal',
             lineHeight: 'normal',
             textTransform: 'none',
-            letterSpacing: 'normal'
+            letterSpacing: 'normal',
+            fonts: []
         };
     }
 }
@@ -0,0 +1,304 @@
+/**
+ * Google Fonts Catalog
+ * Offline list of Google Fonts families with their available weights,
+ * plus the fonts that don't need to be loaded and common commercial look-alikes
+ *
+ * FORMAT:
+ * - GOOGLE_FONTS   family -> weight digits ("1" = 100 ... "9" = 900), a trailing "i" when italics exist
+ * - SYSTEM_FONTS   Web-safe fonts installed on visitors' machines (kept as they are)
+ * - SUBSTITUTES    Commercial family -> closest Google Fonts family
+ */
+
+export const GOOGLE_FONTS = {
+    'Abel': '4',
+    'Abril Fatface': '4',
+    'Acme': '4',
+    'Advent Pro': '123456789i',
+    'Afacad': '4567i',
+    'Alata': '4',
+    'Albert Sans': '123456789i',
+    'Alegreya': '456789i',
+    'Alegreya Sans': '1345789i',
+    'Alex Brush': '4',
+    'Alfa Slab One': '4',
+    'Allura': '4',
+    'Almarai': '3478',
+    'Amatic SC': '47',
+    'Amiri': '47i',
+    'Antonio': '1234567',
+    'Anton': '4',
+    'Architects Daughter': '4',
+    'Archivo': '123456789i',
+    'Archivo Black': '4',
+    'Archivo Narrow': '4567i',
+    'Arimo': '4567i',
+    'Arvo': '47i',
+    'Asap': '123456789i',
+    'Assistant': '2345678',
+    'Baloo 2': '45678',
+    'Bangers': '4',
+    'Barlow': '123456789i',
+    'Barlow Condensed': '123456789i',
+    'Barlow Semi Condensed': '123456789i',
+    'Be Vietnam Pro': '123456789i',
+    'Bebas Neue': '4',
+    'Big Shoulders Display': '123456789',
+    'Bitter': '123456789i',
+    'Black Ops One': '4',
+    'Bodoni Moda': '456789i',
+    'Bree Serif': '4',
+    'Bricolage Grotesque': '2345678',
+    'Cabin': '4567i',
+    'Cairo': '23456789',
+    'Caladea': '47i',
+    'Cantarell': '47i',
+    'Carlito': '47i',
+    'Catamaran': '123456789',
+    'Caveat': '4567',
+    'Chewy': '4',
+    'Chivo': '123456789i',
+    'Cinzel': '456789',
+    'Comfortaa': '34567',
+    'Commissioner': '123456789',
+    'Cookie': '4',
+    'Cormorant': '34567i',
+    'Cormorant Garamond': '34567i',
+    'Courgette': '4',
+    'Courier Prime': '47i',
+    'Cousine': '47i',
+    'Crimson Pro': '23456789i',
+    'Crimson Text': '467i',
+    'Cuprum': '4567i',
+    'Dancing Script': '4567',
+    'Darker Grotesque': '3456789',
+    'Didact Gothic': '4',
+    'DM Sans': '123456789i',
+    'DM Serif Display': '4i',
+    'Domine': '4567',
+    'Dosis': '2345678',
+    'EB Garamond': '45678i',
+    'Economica': '47i',
+    'Encode Sans': '123456789',
+    'Epilogue': '123456789i',
+    'Exo': '123456789i',
+    'Exo 2': '123456789i',
+    'Familjen Grotesk': '4567i',
+    'Figtree': '3456789i',
+    'Fira Code': '34567',
+    'Fira Sans': '123456789i',
+    'Fjalla One': '4',
+    'Forum': '4',
+    'Francois One': '4',
+    'Fraunces': '123456789i',
+    'Fredoka': '34567',
+    'Gabarito': '456789',
+    'Gelasio': '4567i',
+    'Geologica': '123456789',
+    'Gloria Hallelujah': '4',
+    'Golos Text': '456789',
+    'Gothic A1': '123456789',
+    'Great Vibes': '4',
+    'Handlee': '4',
+    'Hanken Grotesk': '123456789i',
+    'Heebo': '123456789',
+    'Hind': '34567',
+    'Hind Siliguri': '34567',
+    'Homemade Apple': '4',
+    'IBM Plex Mono': '1234567i',
+    'IBM Plex Sans': '1234567i',
+    'IBM Plex Serif': '1234567i',
+    'Inconsolata': '23456789',
+    'Indie Flower': '4',
+    'Instrument Sans': '4567i',
+    'Instrument Serif': '4i',
+    'Inter': '123456789i',
+    'Istok Web': '47i',
+    'Italiana': '4',
+    'JetBrains Mono': '12345678i',
+    'Josefin Sans': '1234567i',
+    'Josefin Slab': '1234567i',
+    'Jost': '123456789i',
+    'Kalam': '347',
+    'Kanit': '123456789i',
+    'Karla': '2345678i',
+    'Kaushan Script': '4',
+    'Kumbh Sans': '123456789',
+    'Lato': '13479i',
+    'League Spartan': '123456789',
+    'Lexend': '123456789',
+    'Lexend Deca': '123456789',
+    'Libre Baskerville': '47i',
+    'Libre Bodoni': '4567i',
+    'Libre Caslon Text': '47i',
+    'Libre Franklin': '123456789i',
+    'Lilita One': '4',
+    'Literata': '23456789i',
+    'Lobster': '4',
+    'Lora': '4567i',
+    'Luckiest Guy': '4',
+    'M PLUS 1p': '1345789',
+    'Mada': '23456789',
+    'Manrope': '2345678',
+    'Marcellus': '4',
+    'Maven Pro': '456789',
+    'Merriweather': '3479i',
+    'Merriweather Sans': '345678i',
+    'Montserrat': '123456789i',
+    'Montserrat Alternates': '123456789i',
+    'Mukta': '2345678',
+    'Mulish': '23456789i',
+    'Nanum Gothic': '478',
+    'Newsreader': '2345678i',
+    'Noticia Text': '47i',
+    'Noto Sans': '123456789i',
+    'Noto Sans Display': '123456789i',
+    'Noto Sans JP': '123456789',
+    'Noto Sans KR': '123456789',
+    'Noto Serif': '123456789i',
+    'Nothing You Could Do': '4',
+    'Nunito': '23456789i',
+    'Nunito Sans': '23456789i',
+    'Old Standard TT': '47i',
+    'Onest': '123456789',
+    'Open Sans': '345678i',
+    'Orbitron': '456789',
+    'Oswald': '234567',
+    'Outfit': '123456789',
+    'Overpass': '123456789i',
+    'Oxygen': '347',
+    'Pacifico': '4',
+    'Parisienne': '4',
+    'Passion One': '479',
+    'Pathway Gothic One': '4',
+    'Patrick Hand': '4',
+    'Patua One': '4',
+    'Permanent Marker': '4',
+    'Philosopher': '47i',
+    'Play': '47',
+    'Playfair Display': '456789i',
+    'Plus Jakarta Sans': '2345678i',
+    'Poiret One': '4',
+    'Poppins': '123456789i',
+    'Prata': '4',
+    'Press Start 2P': '4',
+    'Prompt': '123456789i',
+    'PT Sans': '47i',
+    'PT Sans Caption': '47',
+    'PT Sans Narrow': '47',
+    'PT Serif': '47i',
+    'Public Sans': '123456789i',
+    'Quicksand': '34567',
+    'Questrial': '4',
+    'Rajdhani': '34567',
+    'Raleway': '123456789i',
+    'Readex Pro': '234567',
+    'Red Hat Display': '3456789i',
+    'Red Hat Text': '34567i',
+    'Rethink Sans': '45678i',
+    'Righteous': '4',
+    'Roboto': '123456789i',
+    'Roboto Condensed': '123456789i',
+    'Roboto Mono': '1234567i',
+    'Roboto Slab': '123456789',
+    'Rock Salt': '4',
+    'Rubik': '3456789i',
+    'Russo One': '4',
+    'Sacramento': '4',
+    'Saira': '123456789i',
+    'Sarabun': '12345678i',
+    'Satisfy': '4',
+    'Schibsted Grotesk': '456789i',
+    'Secular One': '4',
+    'Sen': '45678',
+    'Shadows Into Light': '4',
+    'Signika': '34567',
+    'Slabo 27px': '4',
+    'Sniglet': '48',
+    'Sora': '12345678',
+    'Source Code Pro': '23456789i',
+    'Source Sans 3': '23456789i',
+    'Source Serif 4': '23456789i',
+    'Space Grotesk': '34567',
+    'Space Mono': '47i',
+    'Special Elite': '4',
+    'Spectral': '2345678i',
+    'Squada One': '4',
+    'Staatliches': '4',
+    'Syne': '45678',
+    'Tajawal': '2345789',
+    'Tangerine': '47',
+    'Teko': '34567',
+    'Tenor Sans': '4',
+    'Tinos': '47i',
+    'Titan One': '4',
+    'Titillium Web': '234679i',
+    'Ubuntu': '3457i',
+    'Ubuntu Mono': '47i',
+    'Unbounded': '23456789',
+    'Urbanist': '123456789i',
+    'Varela Round': '4',
+    'Vollkorn': '456789i',
+    'Work Sans': '123456789i',
+    'Yanone Kaffeesatz': '234567',
+    'Yellowtail': '4',
+    'Yeseva One': '4',
+    'Zeyada': '4',
+    'Zilla Slab': '34567i'
+};
+
+export const SYSTEM_FONTS = [
+    'Arial',
+    'Arial Black',
+    'Comic Sans MS',
+    'Courier New',
+    'Georgia',
+    'Helvetica',
+    'Impact',
+    'Tahoma',
+    'Times New Roman',
+    'Trebuchet MS',
+    'Verdana'
+];
+
+export const SUBSTITUTES = {
+    'Adobe Caslon Pro': 'Libre Caslon Text',
+    'Adobe Garamond Pro': 'EB Garamond',
+    'Akzidenz-Grotesk': 'Inter',
+    'Avenir': 'Nunito Sans',
+    'Avenir Next': 'Nunito Sans',
+    'Baskerville': 'Libre Baskerville',
+    'Bodoni': 'Bodoni Moda',
+    'Brandon Grotesque': 'Josefin Sans',
+    'Calibri': 'Carlito',
+    'Cambria': 'Caladea',
+    'Century Gothic': 'Didact Gothic',
+    'Circular Std': 'DM Sans',
+    'Didot': 'Playfair Display',
+    'DIN': 'Barlow',
+    'DIN Pro': 'Barlow',
+    'Frutiger': 'Hind',
+    'Futura': 'Jost',
+    'Futura PT': 'Jost',
+    'Garamond': 'EB Garamond',
+    'Gill Sans': 'Lato',
+    'Gilroy': 'Plus Jakarta Sans',
+    'Gotham': 'Montserrat',
+    'Gotham Rounded': 'Nunito',
+    'Graphik': 'Inter',
+    'Helvetica Neue': 'Inter',
+    'Lucida Grande': 'Open Sans',
+    'Minion Pro': 'Crimson Pro',
+    'Museo Sans': 'Mulish',
+    'Myriad Pro': 'PT Sans',
+    'Optima': 'Marcellus',
+    'Proxima Nova': 'Montserrat',
+    'Rockwell': 'Arvo',
+    'Segoe UI': 'Open Sans',
+    'SF Pro Display': 'Inter',
+    'SF Pro Text': 'Inter',
+    'Sofia Pro': 'Outfit',
+    'Source Sans Pro': 'Source Sans 3',
+    'Source Serif Pro': 'Source Serif 4',
+    'Trade Gothic': 'Archivo Narrow',
+    'Univers': 'Roboto'
+};
@@ -0,0 +1,182 @@
+/**
+ * PSD to Elementor - Library Entry
+ * Programmatic API for embedding the converter (browser, worker or Node)
+ *
+ * USAGE:
+ *   import { convert } from 'psd-to-elementor';
+ *
+ *   const { template, report, assets } = await convert(fs.readFileSync('home.psd'), {
+ *       fileName: 'home',
+ *       smartDetection: true
+ *   });
+ *
+ * The pipeline is silent by default, pass `logger: console` to see its debug output.
+ * Logger and naming rules are per call, conversions can run concurrently.
+ */
+
+import { parsePsdBuffer } from './parsers/psdParser.js';
+import { classifyLayers } from './classifiers/layerClassifier.js';
+import { generateElementorJson } from './generators/elementorGenerator.js';
+import { createConversionReport } from './generators/reportGenerator.js';
+import { collectGlobalStyles, applyGlobalStyles, createSiteSettings } from './generators/globalStyles.js';
+import { Logger } from './helpers/Logger.js';
+import { NamingRules } from './classifiers/NamingRules.js';
+
+export { parsePsdFile, parsePsdBuffer } from './parsers/psdParser.js';
+export { classifyLayers } from './classifiers/layerClassifier.js';
+export { generateElementorJson, LAYOUT_MODES } from './generators/elementorGenerator.js';
+export { createBundle, createManifest } from './generators/bundleGenerator.js';
+export { createConversionReport, createReportHtml } from './generators/reportGenerator.js';
+export { collectGlobalStyles, applyGlobalStyles, createSiteSettings } from './generators/globalStyles.js';
+export { NamingRules } from './classifiers/NamingRules.js';
+export { RawPSDAdapter } from './adapters/RawPSDAdapter.js';
+
+/**
+ * @typedef {Object} ConvertOptions
+ * @property {string} [fileName='template'] - Template title and base name (".psd" is stripped)
+ * @property {boolean} [smartDetection=false] - Infer structure for ungrouped/unnamed layers
+ * @property {boolean} [exportImages=false] - Export layer bitmaps and reference them from widgets
+ * @property {'png'|'webp'} [imageFormat='png'] - Image format (WebP needs a canvas, Node always writes PNG)
+ * @property {string} [assetBaseUrl='assets/'] - URL prefix written into image settings
+ * @property {'containers'|'sections'} [layout='containers'] - Flexbox Containers, or legacy Sections/Columns
+ * @property {boolean} [globals=false] - Reference kit colors/typography through __globals__ (see siteSettings)
+ * @property {NamingRules|Object} [namingRules] - Layer name rules, or a parsed rules file (see NamingRules)
+ * @property {Object|null} [logger=null] - Console-like object receiving debug output
+ * @property {function(number, string): void} [onProgress] - Progress callback (percent, status)
+ */
+
+/**
+ * @typedef {Object} ExportedAsset
+ * @property {string} layerId - Source layer id
+ * @property {string} layerName - Source layer name
+ * @property {string} fileName - File name, e.g. "hero-bg-a1b2c3d4.png"
+ * @property {string} path - Path inside a bundle, e.g. "assets/hero-bg-a1b2c3d4.png"
+ * @property {string} url - URL used in the template
+ * @property {string} mimeType - "image/png" or "image/webp"
+ * @property {number} width - Pixel width
+ * @property {number} height - Pixel height
+ * @property {Blob} blob - Encoded image
+ */
+
+/**
+ * @typedef {Object} ConversionReport
+ * @property {string} fileName - Base name of the converted file
+ * @property {string} generatedAt - ISO date of the report
+ * @property {{width: number, height: number}} canvas - PSD canvas size
+ * @property {Array<{name: string, width: number, height: number}>} artboards - Artboards found in the PSD
+ * @property {{total: number, hidden: number}} layers - Extracted layer counts (__ignore layers excluded)
+ * @property {{total: number, byType: Object<string, number>}} elements - Generated Elementor elements
+ * @property {{layers: number, converted: number, percent: number}} coverage - Visible content layers in the output
+ * @property {number} assets - Number of exported images
+ * @property {Array<FontUsage>} fonts - Fonts of the text layers and their web fonts
+ * @property {Array<ReportIssue>} issues - Layers that need a second look
+ * @property {Object<string, number>} summary - Issue count per type
+ */
+
+/**
+ * @typedef {Object} ReportIssue
+ * @property {'ignored'|'empty'|'unconverted'|'placeholder'|'font'|'effect'|'low-confidence'|'directive'} type - Issue type
+ * @property {string} layer - Layer path, e.g. "section_hero / btn_start"
+ * @property {string|null} layerId - Layer id (null for skipped layers)
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * @typedef {Object} FontUsage
+ * @property {string} postScriptName - Font name in the PSD, e.g. "Montserrat-SemiBoldItalic"
+ * @property {string} family - Family parsed from the name
+ * @property {number} weight - Weight parsed from the name (100-900)
+ * @property {'normal'|'italic'} style - Font style
+ * @property {'google'|'system'|'substitute'|'missing'} source - Where the web font comes from
+ * @property {boolean} googleFont - Family is available on Google Fonts
+ * @property {boolean} substituted - Family or weight was replaced
+ * @property {{family: string, weight: number}} webFont - Font written into the template
+ * @property {string[]} layers - Names of the layers using it
+ */
+
+/**
+ * @typedef {Object} ConvertResult
+ * @property {Object} template - Elementor JSON template ({content, page_settings, version, title, type})
+ * @property {ConversionReport} report - What the conversion produced
+ * @property {ExportedAsset[]} assets - Exported layer images (empty unless exportImages is set)
+ * @property {Object|null} siteSettings - Kit site settings with the globals (null unless globals is set)
+ */
+
+/**
+ * Convert a PSD into an Elementor template
+ * @param {ArrayBuffer|Uint8Array|Blob} input - PSD bytes (Node Buffers are Uint8Arrays)
+ * @param {ConvertOptions} [options] - Conversion options
+ * @returns {Promise<ConvertResult>}
+ */
+export async function convert(input, options = {}) {
+    const {
+        fileName = 'template',
+        smartDetection = false,
+        exportImages = false,
+        imageFormat = 'png',
+        assetBaseUrl,
+        layout = 'containers',
+        globals = false,
+        namingRules = null,
+        logger = null,
+        onProgress = () => { }
+    } = options;
+
+    const rules = namingRules instanceof NamingRules ? namingRules : new NamingRules(namingRules || {});
+
+    const buffer = await toArrayBuffer(input);
+    const psdData = await parsePsdBuffer(buffer, fileName, onProgress, {
+        exportImages,
+        imageFormat,
+        assetBaseUrl,
+        logger
+    });
+
+    // Nothing below awaits, so the logger can't reach other conversions
+    return Logger.withSink(logger, () => {
+        const classifiedLayers = classifyLayers(psdData.layers, {
+            useSmartDetection: smartDetection,
+            canvasWidth: psdData.width,
+            namingRules: rules
+        });
+
+        const { template, sources } = generateElementorJson(classifiedLayers, {
+            fileName: psdData.fileName,
+            width: psdData.width,
+            height: psdData.height
+        }, { layout, namingRules: rules });
+
+        let siteSettings = null;
+        if (globals) {
+            const globalStyles = collectGlobalStyles([template]);
+            applyGlobalStyles(template, globalStyles);
+            siteSettings = createSiteSettings(globalStyles);
+        }
+
+        return {
+            template,
+            report: createConversionReport({ psdData, classifiedLayers, sources }),
+            assets: psdData.assets,
+            siteSettings
+        };
+    });
+}
+
+/**
+ * Normalize the supported input types to an ArrayBuffer
+ */
+async function toArrayBuffer(input) {
+    if (input instanceof ArrayBuffer) {
+        return input;
+    }
+
+    if (ArrayBuffer.isView(input)) {
+        return input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength);
+    }
+
+    if (input && typeof input.arrayBuffer === 'function') {
+        return input.arrayBuffer();
+    }
+
+    throw new TypeError('convert() expects an ArrayBuffer, a Uint8Array/Buffer or a Blob');
+}
@@ -3,21 +3,53 @@
  * Main Application Entry Point
  */
 
-import { parsePsdFile } from './parsers/psdParser.js';
+import { generateId } from './parsers/psdParser.js';
 import { classifyLayers } from './classifiers/layerClassifier.js';
-import { generateElementorJson, formatJsonWithHighlighting, downloadJson } from './generators/elementorGenerator.js';
-import { initFileUpload, showProgress, resetUpload, showToast } from './components/FileUpload.js';
-import { initLayerPreview, getLayers } from './components/LayerPreview.js';
+import { NamingRules } from './classifiers/NamingRules.js';
+import { formatJsonWithHighlighting, downloadJson, downloadBlob } from './generators/elementorGenerator.js';
+import { generatePage, getPageTitle } from './generators/pageGenerator.js';
+import { downloadBundle, createBatchArchive, createTemplateKit, downloadZip } from './generators/bundleGenerator.js';
+import { collectGlobalStyles, applyGlobalStyles, createSiteSettings } from './generators/globalStyles.js';
+import { collectFonts, createConversionReport, createReportHtml } from './generators/reportGenerator.js';
+import { ArtboardHelper } from './helpers/ArtboardHelper.js';
+import { Logger } from './helpers/Logger.js';
+import { ProjectStore } from './helpers/ProjectStore.js';
+import { initFileUpload, showProgress, resetUpload, showToast, showQueue, updateQueueItem } from './components/FileUpload.js';
+import { initLayerPreview, getLayers, undo, redo, getHistoryState, selectLayer } from './components/LayerPreview.js';
+import { initCanvasOverlay, updateCanvasOverlay, highlightLayer, setSelectedLayer } from './components/CanvasOverlay.js';
+import { renderRecentProjects } from './components/RecentProjects.js';
+import { renderReport } from './components/ReportView.js';
+import { convertInWorker, cancelConversion } from './workers/conversionClient.js';
+
+// Delay before edits are written to the project store
+const SAVE_DELAY = 1000;
+
+// localStorage key of the custom naming rules
+const NAMING_RULES_KEY = 'psd-to-elementor:naming-rules';
 
 // App State
 let appState = {
     psdData: null,
     classifiedLayers: null,
     elementorJson: null,
+    elementSources: [],
+    report: null, // Conversion report of the active page
     fileName: '',
-    useSmartDetection: false
+    useSmartDetection: false,
+    exportImages: false,
+    imageFormat: 'png',
+    artboardMode: 'pages', // 'pages' | 'breakpoints'
+    layoutMode: 'containers', // 'containers' | 'sections'
+    useGlobals: false,
+    globalStyles: null, // Kit palette/type scale of the whole batch, when useGlobals is on
+    pages: [], // Pages of every PSD in the batch
+    activePage: 0,
+    projectId: null,
+    namingRules: null // Custom naming rules {name, config}, null for the built-in ones
 };
 
+let saveTimer = null;
+
 // DOM Elements
 const dropzone = document.getElementById('dropzone');
 const fileInput = document.getElementById('fileInput');
@@ -26,23 +58,77 @@ const previewSection = document.getElementById('previewSection');
 const layerTree = document.getElementById('layerTree');
 const jsonPreview = document.getElementById('jsonPreview');
 const downloadBtn = document.getElementById('downloadBtn');
+const downloadBundleBtn = document.getElementById('downloadBundleBtn');
+const downloadAllBtn = document.getElementById('downloadAllBtn');
+const downloadKitBtn = document.getElementById('downloadKitBtn');
+const uploadQueue = document.getElementById('uploadQueue');
+const cancelBtn = document.getElementById('cancelBtn');
+const recentProjects = document.getElementById('recentProjects');
+const importProjectBtn = document.getElementById('importProjectBtn');
+const projectInput = document.getElementById('projectInput');
+const exportProjectBtn = document.getElementById('exportProjectBtn');
+const namingRulesBtn = document.getElementById('namingRulesBtn');
+const namingRulesInput = document.getElementById('namingRulesInput');
+const clearNamingRulesBtn = document.getElementById('clearNamingRulesBtn');
 const resetBtn = document.getElementById('resetBtn');
 const copyBtn = document.getElementById('copyBtn');
+const jsonTab = document.getElementById('jsonTab');
+const reportTab = document.getElementById('reportTab');
+const reportCount = document.getElementById('reportCount');
+const reportView = document.getElementById('reportView');
+const downloadReportBtn = document.getElementById('downloadReportBtn');
+const pageSelect = document.getElementById('pageSelect');
+const canvasView = document.getElementById('canvasView');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
 
 /**
  * Initialize the application
  */
 function init() {
+    // Pipeline debug output goes to the browser console
+    Logger.setSink(console);
+
     // Add SVG gradient definition for progress ring
     addProgressGradient();
 
     // Initialize file upload
-    initFileUpload(dropzone, fileInput, handleFileSelected);
+    initFileUpload(dropzone, fileInput, handleFilesSelected);
 
     // Button handlers
     downloadBtn.addEventListener('click', handleDownload);
+    downloadBundleBtn.addEventListener('click', handleDownloadBundle);
+    cancelBtn.addEventListener('click', (e) => {
+        // The dropzone would open the file dialog
+        e.stopPropagation();
+        cancelConversion();
+    });
+    downloadAllBtn.addEventListener('click', () => handleDownloadBatch('all'));
+    downloadKitBtn.addEventListener('click', () => handleDownloadBatch('kit'));
     resetBtn.addEventListener('click', handleReset);
     copyBtn.addEventListener('click', handleCopy);
+    jsonTab.addEventListener('click', () => showOutputTab('json'));
+    reportTab.addEventListener('click', () => showOutputTab('report'));
+    downloadReportBtn.addEventListener('click', handleDownloadReport);
+    pageSelect.addEventListener('change', (e) => selectPage(Number(e.target.value)));
+    undoBtn.addEventListener('click', undo);
+    redoBtn.addEventListener('click', redo);
+    document.addEventListener('keydown', handleHistoryShortcut);
+
+    // Saved projects
+    importProjectBtn.addEventListener('click', () => projectInput.click());
+    projectInput.addEventListener('change', handleImportProject);
+    exportProjectBtn.addEventListener('click', handleExportProject);
+    refreshRecentProjects();
+
+    // Naming rules
+    namingRulesBtn.addEventListener('click', () => namingRulesInput.click());
+    namingRulesInput.addEventListener('change', handleNamingRulesFile);
+    clearNamingRulesBtn.addEventListener('click', () => {
+        setNamingRules(null);
+        storeNamingRules();
+    });
+    setNamingRules(loadStoredNamingRules());
 
     // Smart Detection toggle
     const smartToggle = document.getElementById('smartDetectionToggle');
@@ -52,6 +138,45 @@ function init() {
             console.log('Smart Detection Mode:', appState.useSmartDetection ? 'ON' : 'OFF');
         });
     }
+
+    // Image export toggle and format
+    const exportImagesToggle = document.getElementById('exportImagesToggle');
+    if (exportImagesToggle) {
+        exportImagesToggle.addEventListener('change', (e) => {
+            appState.exportImages = e.target.checked;
+        });
+    }
+
+    const imageFormatSelect = document.getElementById('imageFormatSelect');
+    if (imageFormatSelect) {
+        imageFormatSelect.addEventListener('change', (e) => {
+            appState.imageFormat = e.target.value;
+        });
+    }
+
+    // Global colors and typography
+    const globalsToggle = document.getElementById('globalsToggle');
+    if (globalsToggle) {
+        globalsToggle.addEventListener('change', (e) => {
+            appState.useGlobals = e.target.checked;
+        });
+    }
+
+    // Output structure
+    const layoutModeSelect = document.getElementById('layoutModeSelect');
+    if (layoutModeSelect) {
+        layoutModeSelect.addEventListener('change', (e) => {
+            appState.layoutMode = e.target.value;
+        });
+    }
+
+    // Artboard handling
+    const artboardModeSelect = document.getElementById('artboardModeSelect');
+    if (artboardModeSelect) {
+        artboardModeSelect.addEventListener('change', (e) => {
+            appState.artboardMode = e.target.value;
+        });
+    }
 }
 
 /**
@@ -74,54 +199,255 @@ function addProgressGradient() {
 
 /**
  * Handle file selection
+ * Files are converted one after another, a failing PSD doesn't stop the batch
  */
-async function handleFileSelected(file) {
-    try {
-        appState.fileName = file.name.replace('.psd', '');
+async function handleFilesSelected(files) {
+    const pages = [];
+    const failed = [];
 
-        // Parse PSD
-        const psdData = await parsePsdFile(file, (percent, status) => {
-            showProgress(dropzone, percent, status);
-        });
+    showQueue(uploadQueue, files);
 
-        appState.psdData = psdData;
+    for (const [index, file] of files.entries()) {
+        const reportProgress = (percent, status) => {
+            updateQueueItem(uploadQueue, index, percent, status);
+            showProgress(dropzone, (index + percent / 100) / files.length * 100,
+                files.length > 1 ? `${file.name} (${index + 1}/${files.length}): ${status}` : status);
+        };
 
-        // Classify layers
-        showProgress(dropzone, 95, appState.useSmartDetection ? 'Smart detecting structure...' : 'Classifying layers...');
-        appState.classifiedLayers = classifyLayers(psdData.layers, {
-            useSmartDetection: appState.useSmartDetection,
-            canvasWidth: psdData.width
-        });
+        try {
+            pages.push(...await processFile(file, reportProgress));
+            updateQueueItem(uploadQueue, index, 100, 'Done', 'done');
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                showToast('Conversion cancelled');
+                resetUpload(dropzone);
+                showQueue(uploadQueue, []);
+                fileInput.value = '';
+                return;
+            }
 
-        // Generate initial JSON
-        updateElementorJson();
+            console.error(`Error processing ${file.name}:`, error);
+            updateQueueItem(uploadQueue, index, 100, error.message, 'error');
+            failed.push(file.name);
+        }
+    }
 
-        showProgress(dropzone, 100, 'Complete!');
+    if (pages.length === 0) {
+        showToast('Error processing PSD file: ' + (files.length > 1 ? 'no file could be converted' : failed[0]));
+        resetUpload(dropzone);
+        return;
+    }
 
-        // Show preview after slight delay
-        setTimeout(() => {
-            showPreview();
-        }, 500);
+    if (failed.length > 0) {
+        showToast(`Could not convert: ${failed.join(', ')}`);
+    } else {
+        showFontWarnings(pages);
+    }
 
-    } catch (error) {
-        console.error('Error processing PSD:', error);
-        showToast('Error processing PSD file: ' + error.message);
-        resetUpload(dropzone);
+    appState.pages = pages;
+    appState.projectId = generateId();
+    selectPage(0);
+    saveProject(true);
+
+    showProgress(dropzone, 100, 'Complete!');
+
+    // Show preview after slight delay
+    setTimeout(() => {
+        showPreview();
+    }, 500);
+}
+
+/**
+ * List the fonts that were substituted or aren't on Google Fonts
+ */
+function showFontWarnings(pages) {
+    const documents = new Set(pages.map(page => page.psdData));
+    const warnings = collectFonts([...documents].flatMap(psdData => psdData.layers || []))
+        .map(font => {
+            if (font.substituted) return `${font.postScriptName} → ${font.webFont.family} ${font.webFont.weight}`;
+            if (font.source === 'missing') return `${font.postScriptName} (not on Google Fonts)`;
+            return null;
+        })
+        .filter(Boolean);
+
+    if (warnings.length > 0) {
+        Logger.warn('Font substitutions:', warnings);
+        showToast(`Fonts: ${warnings.join(', ')}`, 6000);
     }
 }
 
+/**
+ * Parse and classify one PSD in the conversion worker
+ * @returns {Promise<Array>} Its pages, each linked to the parsed PSD
+ */
+function processFile(file, onProgress) {
+    return convertInWorker(file, {
+        exportImages: appState.exportImages,
+        imageFormat: appState.imageFormat,
+        useSmartDetection: appState.useSmartDetection,
+        artboardMode: appState.artboardMode,
+        layoutMode: appState.layoutMode,
+        namingRules: appState.namingRules?.config || null
+    }, onProgress);
+}
+
+/**
+ * Classify the layers of a page or breakpoint
+ */
+function classify(page) {
+    return classifyLayers(page.layers, {
+        useSmartDetection: appState.useSmartDetection,
+        canvasWidth: page.width
+    });
+}
+
+/**
+ * Get the page currently shown in the preview
+ */
+function getActivePage() {
+    return appState.pages[appState.activePage];
+}
+
+/**
+ * Switch the preview to another page (of any PSD in the batch)
+ */
+function selectPage(index) {
+    appState.activePage = index;
+
+    const page = getActivePage();
+    appState.psdData = page.psdData;
+    appState.fileName = page.fileName;
+    appState.classifiedLayers = page.classifiedLayers;
+
+    updateElementorJson();
+    if (!previewSection.hidden) {
+        initLayerViews();
+        scheduleSave();
+    }
+}
+
+/**
+ * Get the other pages coming from the same PSD
+ */
+function getSiblingPages(page) {
+    return appState.pages.filter(other => other.psdData === page.psdData);
+}
+
+/**
+ * Base filename for downloads of a page
+ */
+function getPageFileName(page = getActivePage()) {
+    const siblings = getSiblingPages(page);
+    if (siblings.length <= 1) {
+        return page.fileName + '_elementor';
+    }
+
+    const slug = page.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${page.fileName}_${slug || siblings.indexOf(page) + 1}_elementor`;
+}
+
+/**
+ * Generated template of a page without globals, with its element/layer pairs
+ * Conversions bring it from the worker, edits and layout changes generate it again
+ * @param {Object} page - Page
+ * @returns {{layout: string, json: Object, sources: Array}}
+ */
+function getGenerated(page) {
+    if (page.generated?.layout !== appState.layoutMode) {
+        page.generated = {
+            layout: appState.layoutMode,
+            ...generatePage(page, { title: getPageTitle(page, getSiblingPages(page)), layout: appState.layoutMode })
+        };
+    }
+    return page.generated;
+}
+
+/**
+ * Copy of a generated template that references the kit globals
+ * The cached template stays as generated, sources keep pointing at the page layers
+ * @param {Object} generated - Result of getGenerated()
+ * @param {Object|null} globalStyles - Kit globals the template should reference
+ * @returns {{json: Object, sources: Array}}
+ */
+function withGlobalStyles({ json, sources }, globalStyles) {
+    if (!globalStyles) return { json, sources };
+
+    const copy = structuredClone({ json, elements: sources.map(source => source.element) });
+    applyGlobalStyles(copy.json, globalStyles);
+
+    return {
+        json: copy.json,
+        sources: sources.map((source, index) => ({ element: copy.elements[index], layer: source.layer }))
+    };
+}
+
+/**
+ * Collect one palette and type scale over every page of the batch
+ * Only pages edited since the last call are generated again
+ * @returns {Object|null} Globals, null when global styles are off
+ */
+function collectBatchGlobals() {
+    if (!appState.useGlobals) return null;
+    return collectGlobalStyles(appState.pages.map(page => getGenerated(page).json));
+}
+
 /**
  * Update Elementor JSON from current layer state
  */
 function updateElementorJson() {
-    appState.elementorJson = generateElementorJson(appState.classifiedLayers, {
-        fileName: appState.fileName,
-        width: appState.psdData?.width,
-        height: appState.psdData?.height
-    });
+    appState.globalStyles = collectBatchGlobals();
+
+    const { json, sources } = withGlobalStyles(getGenerated(getActivePage()), appState.globalStyles);
+    appState.elementorJson = json;
+    appState.elementSources = sources;
+    appState.report = createPageReport(getActivePage(), sources);
 
     // Update JSON preview
     updateJsonPreview();
+    updateReportView();
+}
+
+/**
+ * Conversion report of a page, from its parsed layers and the elements generated for it
+ */
+function createPageReport(page, sources) {
+    return createConversionReport({
+        psdData: page.psdData,
+        layers: page.layers,
+        classifiedLayers: page.classifiedLayers,
+        sources
+    });
+}
+
+/**
+ * Update the report tab and its issue count
+ */
+function updateReportView() {
+    if (!appState.report) return;
+
+    renderReport(reportView, appState.report, { onSelect: selectLayer });
+
+    const count = appState.report.issues.length;
+    reportCount.textContent = String(count);
+    reportCount.hidden = count === 0;
+}
+
+/**
+ * Switch the output panel between the JSON preview and the report
+ * @param {string} tab - 'json' | 'report'
+ */
+function showOutputTab(tab) {
+    const isReport = tab === 'report';
+
+    jsonTab.classList.toggle('active', !isReport);
+    jsonTab.setAttribute('aria-selected', String(!isReport));
+    reportTab.classList.toggle('active', isReport);
+    reportTab.setAttribute('aria-selected', String(isReport));
+
+    jsonPreview.hidden = isReport;
+    reportView.hidden = !isReport;
+    copyBtn.hidden = isReport;
+    downloadReportBtn.hidden = !isReport;
 }
 
 /**
@@ -140,8 +466,34 @@ function showPreview() {
     uploadSection.hidden = true;
     previewSection.hidden = false;
 
-    // Initialize layer preview with drag-and-drop
-    initLayerPreview(layerTree, appState.classifiedLayers, handleLayersChange);
+    // Page switcher for multi-artboard documents and batches
+    pageSelect.innerHTML = '';
+    appState.pages.forEach((page, index) => {
+        const label = page.name === page.fileName ? page.name : `${page.fileName} - ${page.name}`;
+        pageSelect.appendChild(new Option(`${label} (${page.width}px)`, String(index)));
+    });
+    pageSelect.value = String(appState.activePage);
+    pageSelect.hidden = appState.pages.length <= 1;
+    downloadAllBtn.hidden = appState.pages.length <= 1;
+    downloadKitBtn.hidden = appState.pages.length <= 1;
+
+    initLayerViews();
+}
+
+/**
+ * Initialize layer tree and canvas for the active page
+ */
+function initLayerViews() {
+    // Layer preview with drag-and-drop, rows and canvas boxes highlight each other
+    // Each page keeps its own undo history while the project is open
+    const page = getActivePage();
+    page.history ??= { undo: [], redo: [] };
+    initLayerPreview(layerTree, appState.classifiedLayers, handleLayersChange, {
+        onHover: highlightLayer,
+        onSelect: setSelectedLayer
+    }, page.history);
+    initCanvasOverlay(canvasView, getActivePage(), appState.psdData?.composite, appState.classifiedLayers, selectLayer);
+    updateHistoryButtons();
 }
 
 /**
@@ -149,7 +501,39 @@ function showPreview() {
  */
 function handleLayersChange(newLayers) {
     appState.classifiedLayers = newLayers;
+    getActivePage().classifiedLayers = newLayers;
+    getActivePage().generated = null;
     updateElementorJson();
+    updateCanvasOverlay(newLayers);
+    updateHistoryButtons();
+    scheduleSave();
+}
+
+/**
+ * Enable undo/redo buttons according to the layer history
+ */
+function updateHistoryButtons() {
+    const { canUndo, canRedo } = getHistoryState();
+    undoBtn.disabled = !canUndo;
+    redoBtn.disabled = !canRedo;
+}
+
+/**
+ * Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes)
+ * Form fields keep their native text undo
+ */
+function handleHistoryShortcut(e) {
+    if (previewSection.hidden || !(e.ctrlKey || e.metaKey)) return;
+    if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+    }
 }
 
 /**
@@ -157,26 +541,383 @@ function handleLayersChange(newLayers) {
  */
 function handleDownload() {
     if (appState.elementorJson) {
-        downloadJson(appState.elementorJson, appState.fileName + '_elementor');
+        downloadJson(appState.elementorJson, getPageFileName());
+
+        // The template only points to the globals, they are imported with the kit settings
+        if (appState.globalStyles) {
+            downloadJson(createSiteSettings(appState.globalStyles), `${appState.fileName}_site-settings`);
+        }
         showToast('JSON template downloaded!');
     }
 }
 
+/**
+ * Download the report of the active page as JSON and HTML
+ */
+function handleDownloadReport() {
+    if (!appState.report) return;
+
+    const fileName = getPageFileName().replace(/_elementor$/, '_report');
+    downloadJson(appState.report, fileName);
+    downloadBlob(new Blob([createReportHtml(appState.report)], { type: 'text/html' }), `${fileName}.html`);
+    showToast('Report downloaded!');
+}
+
+/**
+ * Handle download bundle button click
+ */
+async function handleDownloadBundle() {
+    if (!appState.elementorJson) return;
+
+    try {
+        await downloadBundle(appState.elementorJson, {
+            sources: appState.elementSources,
+            assets: appState.psdData?.assets || [],
+            metadata: {
+                width: getActivePage().width,
+                height: getActivePage().height
+            },
+            siteSettings: appState.globalStyles ? createSiteSettings(appState.globalStyles) : null,
+            report: appState.report
+        }, getPageFileName());
+        showToast('Bundle downloaded!');
+    } catch (error) {
+        console.error('Error creating bundle:', error);
+        showToast('Failed to create bundle: ' + error.message);
+    }
+}
+
+/**
+ * Download every page of the batch as one ZIP
+ * @param {string} mode - 'all' (one template per page) | 'kit' (template kit)
+ */
+async function handleDownloadBatch(mode) {
+    try {
+        const globalStyles = collectBatchGlobals();
+        const siteSettings = globalStyles ? createSiteSettings(globalStyles) : null;
+
+        const entries = appState.pages.map(page => {
+            const { json, sources } = withGlobalStyles(getGenerated(page), globalStyles);
+            return {
+                json,
+                sources,
+                filename: getPageFileName(page),
+                assets: page.psdData?.assets || [],
+                metadata: {
+                    width: page.width,
+                    height: page.height
+                },
+                report: createPageReport(page, sources)
+            };
+        });
+
+        if (mode === 'kit') {
+            downloadZip(await createTemplateKit(entries, {
+                title: `${appState.pages[0].fileName} Kit`,
+                siteSettings
+            }), 'elementor_template_kit');
+            showToast('Template kit downloaded!');
+        } else {
+            downloadZip(await createBatchArchive(entries, { siteSettings }), 'elementor_templates');
+            showToast(`${entries.length} templates downloaded!`);
+        }
+    } catch (error) {
+        console.error('Error creating archive:', error);
+        showToast('Failed to create archive: ' + error.message);
+    }
+}
+
 /**
  * Handle reset button click
  */
 function handleReset() {
+    // Pending edits are flushed, the project stays in the recent list
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveProject();
+    }
+
     appState = {
+        ...appState,
         psdData: null,
         classifiedLayers: null,
         elementorJson: null,
-        fileName: ''
+        elementSources: [],
+        fileName: '',
+        pages: [],
+        activePage: 0,
+        projectId: null
     };
 
     uploadSection.hidden = false;
     previewSection.hidden = true;
     resetUpload(dropzone);
+    showQueue(uploadQueue, []);
     fileInput.value = '';
+    refreshRecentProjects();
+}
+
+/**
+ * Snapshot the current conversion as a project
+ * @param {boolean} withDocuments - Include the parsed documents (composites and assets)
+ */
+function createProject(withDocuments = true) {
+    const documents = [...new Set(appState.pages.map(page => page.psdData))];
+    const firstName = documents[0].fileName;
+
+    return {
+        id: appState.projectId,
+        name: documents.length > 1 ? `${firstName} +${documents.length - 1}` : firstName,
+        options: {
+            useSmartDetection: appState.useSmartDetection,
+            exportImages: appState.exportImages,
+            imageFormat: appState.imageFormat,
+            artboardMode: appState.artboardMode,
+            layoutMode: appState.layoutMode,
+            useGlobals: appState.useGlobals,
+            namingRules: appState.namingRules
+        },
+        documents: withDocuments
+            ? documents.map(({ fileName, width, height, layers, ignoredLayers, artboards, composite, assets }) => ({
+                fileName, width, height, layers, ignoredLayers, artboards, composite, assets
+            }))
+            : undefined,
+        pages: appState.pages.map(page => ({
+            document: documents.indexOf(page.psdData),
+            classifiedLayers: page.classifiedLayers,
+            breakpoints: page.breakpoints.map(breakpoint => ({
+                device: breakpoint.device,
+                classifiedLayers: breakpoint.classifiedLayers
+            }))
+        })),
+        activePage: appState.activePage
+    };
+}
+
+/**
+ * Restore a project into the app state and show it
+ */
+function openProject(project) {
+    applyOptions(project.options || {});
+
+    // Pages are rebuilt from the parsed documents, then get their edited trees back
+    const pages = project.documents.flatMap((entry, index) => {
+        const psdData = { ...entry, composite: entry.composite || null, assets: entry.assets || [] };
+        const saved = project.pages.filter(page => page.document === index);
+
+        return ArtboardHelper.createPages(psdData, appState.artboardMode).map((page, pageIndex) => ({
+            ...page,
+            psdData,
+            fileName: psdData.fileName,
+            classifiedLayers: saved[pageIndex]?.classifiedLayers || classify(page),
+            breakpoints: page.breakpoints.map(breakpoint => ({
+                ...breakpoint,
+                classifiedLayers: saved[pageIndex]?.breakpoints.find(item => item.device === breakpoint.device)?.classifiedLayers
+                    || classify(breakpoint)
+            }))
+        }));
+    });
+
+    if (pages.length === 0) {
+        throw new Error('The project has no pages');
+    }
+
+    appState.pages = pages;
+    appState.projectId = project.id || generateId();
+    selectPage(Math.min(project.activePage || 0, pages.length - 1));
+    showPreview();
+}
+
+/**
+ * Set conversion options and reflect them in the upload screen controls
+ */
+function applyOptions(options) {
+    const controls = {
+        useSmartDetection: ['smartDetectionToggle', 'checked'],
+        exportImages: ['exportImagesToggle', 'checked'],
+        imageFormat: ['imageFormatSelect', 'value'],
+        artboardMode: ['artboardModeSelect', 'value'],
+        layoutMode: ['layoutModeSelect', 'value'],
+        useGlobals: ['globalsToggle', 'checked']
+    };
+
+    for (const [key, [id, property]] of Object.entries(controls)) {
+        if (options[key] === undefined) continue;
+
+        appState[key] = options[key];
+        const control = document.getElementById(id);
+        if (control) control[property] = options[key];
+    }
+
+    // The project keeps the rules it was classified with
+    if (options.namingRules !== undefined) {
+        setNamingRules(options.namingRules);
+    }
+}
+
+/**
+ * Save the project after edits settle
+ */
+function scheduleSave() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveProject, SAVE_DELAY);
+}
+
+/**
+ * Save the current project
+ * @param {boolean} withDocuments - Store the parsed documents too (new projects),
+ *   edits only rewrite the layer trees and options
+ */
+async function saveProject(withDocuments = false) {
+    saveTimer = null;
+    if (!appState.projectId || appState.pages.length === 0) return;
+
+    try {
+        await (withDocuments
+            ? ProjectStore.save(createProject())
+            : ProjectStore.saveEdits(createProject(false)));
+    } catch (error) {
+        // Private browsing or quota, the conversion itself still works
+        Logger.warn('Could not save project:', error);
+    }
+}
+
+/**
+ * Show the saved projects on the upload screen
+ */
+async function refreshRecentProjects() {
+    try {
+        renderRecentProjects(recentProjects, await ProjectStore.list(), {
+            onOpen: handleOpenProject,
+            onDelete: handleDeleteProject
+        });
+    } catch (error) {
+        Logger.warn('Could not list projects:', error);
+        recentProjects.hidden = true;
+    }
+}
+
+async function handleOpenProject(id) {
+    try {
+        const project = await ProjectStore.load(id);
+        if (!project) throw new Error('Project not found');
+        openProject(project);
+    } catch (error) {
+        console.error('Error opening project:', error);
+        showToast('Failed to open project: ' + error.message);
+        refreshRecentProjects();
+    }
+}
+
+async function handleDeleteProject(id) {
+    try {
+        await ProjectStore.remove(id);
+    } catch (error) {
+        showToast('Failed to delete project: ' + error.message);
+    }
+    refreshRecentProjects();
+}
+
+/**
+ * Handle project file import
+ */
+async function handleImportProject(e) {
+    const file = e.target.files[0];
+    projectInput.value = '';
+    if (!file) return;
+
+    try {
+        const project = await ProjectStore.fromFile(file);
+        openProject(project);
+        saveProject(true);
+        showToast('Project imported!');
+    } catch (error) {
+        console.error('Error importing project:', error);
+        showToast('Failed to import project: ' + error.message);
+    }
+}
+
+/**
+ * Handle project export button click
+ */
+async function handleExportProject() {
+    if (appState.pages.length === 0) return;
+
+    try {
+        const project = createProject();
+        downloadBlob(await ProjectStore.toFile(project), `${project.name.replace(/[^\w.-]+/g, '_')}.psdproject.json`);
+        showToast('Project exported!');
+    } catch (error) {
+        console.error('Error exporting project:', error);
+        showToast('Failed to export project: ' + error.message);
+    }
+}
+
+/**
+ * Handle naming rules file selection (JSON or YAML)
+ */
+async function handleNamingRulesFile(e) {
+    const file = e.target.files[0];
+    namingRulesInput.value = '';
+    if (!file) return;
+
+    try {
+        const config = await NamingRules.parse(await file.text(), file.name);
+        const rules = new NamingRules(config);
+
+        setNamingRules({ name: file.name, config });
+        storeNamingRules();
+        showToast(`Naming rules loaded (${rules.widgetRules.length} widget rules)`);
+    } catch (error) {
+        console.error('Error loading naming rules:', error);
+        showToast(error.message);
+    }
+}
+
+/**
+ * Use custom naming rules for the next conversions
+ * @param {Object|null} namingRules - {name, config}, null for the built-in rules
+ */
+function setNamingRules(namingRules) {
+    try {
+        NamingRules.setActive(namingRules ? new NamingRules(namingRules.config) : null);
+        appState.namingRules = namingRules;
+    } catch (error) {
+        Logger.warn('Ignoring invalid naming rules:', error.message);
+        NamingRules.setActive(null);
+        appState.namingRules = null;
+    }
+
+    const status = document.getElementById('namingRulesStatus');
+    if (status) {
+        status.textContent = appState.namingRules
+            ? `Custom rules from ${appState.namingRules.name}`
+            : 'Built-in layer name patterns';
+    }
+    clearNamingRulesBtn.hidden = !appState.namingRules;
+}
+
+/**
+ * Remember the naming rules for the next visit
+ */
+function storeNamingRules() {
+    try {
+        if (appState.namingRules) {
+            localStorage.setItem(NAMING_RULES_KEY, JSON.stringify(appState.namingRules));
+        } else {
+            localStorage.removeItem(NAMING_RULES_KEY);
+        }
+    } catch (error) {
+        Logger.warn('Could not store naming rules:', error);
+    }
+}
+
+function loadStoredNamingRules() {
+    try {
+        return JSON.parse(localStorage.getItem(NAMING_RULES_KEY)) || null;
+    } catch {
+        return null;
+    }
 }
 
 /**
@@ -3,50 +3,116 @@
  * Parses PSD files and extracts layer information using ag-psd
  */
 
-import { readPsd } from 'ag-psd';
-import TextStyleExtractor from '../helpers/TextStyleExtractor';
+import { readPsd, initializeCanvas } from 'ag-psd';
+import TextStyleExtractor from '../helpers/TextStyleExtractor.js';
+import LayerStyleExtractor from '../helpers/LayerStyleExtractor.js';
+import { LayerImageExporter } from '../helpers/LayerImageExporter.js';
+import { Logger } from '../helpers/Logger.js';
+import { LayerDirectiveHelper } from '../helpers/LayerDirectiveHelper.js';
 
 /**
  * Parse a PSD file and extract layer structure
  * @param {File} file - The PSD file to parse
  * @param {Function} onProgress - Progress callback
+ * @param {Object} options - Parse options
+ * @param {boolean} options.exportImages - Decode layer pixels and export them as image files
+ * @param {string} options.imageFormat - 'png' or 'webp'
+ * @param {string} options.assetBaseUrl - URL prefix for exported images
+ * @param {Object|null} options.logger - Sink for the parser's warnings (default: Logger's current sink)
  * @returns {Promise<Object>} Parsed layer tree
  */
-export async function parsePsdFile(file, onProgress = () => { }) {
+export async function parsePsdFile(file, onProgress = () => { }, options = {}) {
     onProgress(10, 'Reading file...');
 
     const arrayBuffer = await file.arrayBuffer();
 
+    return parsePsdBuffer(arrayBuffer, file.name, onProgress, options);
+}
+
+/**
+ * Parse PSD bytes and extract layer structure
+ * Works in the browser, in workers and in Node
+ * @param {ArrayBuffer} arrayBuffer - PSD file contents
+ * @param {string} fileName - Original file name
+ * @param {Function} onProgress - Progress callback
+ * @param {Object} options - Parse options (see parsePsdFile)
+ * @returns {Promise<Object>} Parsed layer tree
+ */
+export async function parsePsdBuffer(arrayBuffer, fileName = 'untitled.psd', onProgress = () => { }, options = {}) {
+    initializeHeadlessCanvas();
+
     onProgress(30, 'Parsing PSD structure...');
 
     const psd = readPsd(arrayBuffer, {
-        skipLayerImageData: true, // Skip pixel data for performance
+        skipLayerImageData: !options.exportImages, // Skip pixel data unless images are exported
+        useImageData: true,
         skipThumbnail: true
     });
 
     onProgress(60, 'Extracting layers...');
 
-    const layers = extractLayers(psd.children || []);
+    const pendingImages = [];
+    const ignoredLayers = [];
+    const layers = Logger.withSink(options.logger, () =>
+        extractLayers(psd.children || [], 0, options.exportImages ? pendingImages : null, ignoredLayers)
+    );
+
+    let assets = [];
+    if (pendingImages.length > 0) {
+        assets = await LayerImageExporter.exportAll(pendingImages, options, (done, total) => {
+            onProgress(75 + 15 * done / total, `Exporting layer images (${done + 1}/${total})...`);
+        });
+    }
+
+    // Artboards get their own coordinate space (after export so clones keep their images)
+    const artboards = extractArtboards(layers);
 
     onProgress(90, 'Processing complete');
 
-    console.log("PSD Data: ", psd);
+    Logger.withSink(options.logger, () => Logger.debug("PSD Data: ", psd));
 
     return {
         width: psd.width,
         height: psd.height,
         layers: layers,
-        fileName: file.name.replace('.psd', '')
+        ignoredLayers: ignoredLayers, // Names of the root-level __ignore layers (nested ones are on their group)
+        artboards: artboards,
+        composite: psd.imageData || null, // Flattened preview pixels, when the PSD has them
+        assets: assets,
+        fileName: fileName.replace('.psd', '')
     };
 }
 
+let headlessCanvasReady = false;
+
+/**
+ * ag-psd creates canvases through `document` by default
+ * Without a DOM (Node, workers) pixels are read as plain ImageData instead
+ */
+function initializeHeadlessCanvas() {
+    if (headlessCanvasReady || typeof document !== 'undefined') return;
+
+    initializeCanvas(
+        (width, height) => {
+            if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+            throw new Error('Canvas is not available in this environment');
+        },
+        (width, height) => typeof ImageData !== 'undefined'
+            ? new ImageData(width, height)
+            : { width, height, data: new Uint8ClampedArray(width * height * 4) }
+    );
+    headlessCanvasReady = true;
+}
+
 /**
  * Recursively extract layers from PSD tree
  * @param {Array} children - PSD children array
  * @param {number} depth - Current depth level
+ * @param {Array|null} pendingImages - Collects {layerInfo, imageData} pairs to export
+ * @param {Array} ignored - Collects the names of the __ignore layers among the children
  * @returns {Array} Array of layer objects
  */
-function extractLayers(children, depth = 0) {
+function extractLayers(children, depth = 0, pendingImages = null, ignored = []) {
     const layers = [];
 
     if (!children) return layers;
@@ -54,13 +120,18 @@ function extractLayers(children, depth = 0) {
     for (const child of children) {
         // Skip layers with __ignore in name
         if (child.name && child.name.includes('__ignore')) {
+            ignored.push(child.name);
             continue;
         }
 
         const layer = extractLayerInfo(child, depth);
 
         if (child.children && child.children.length > 0) {
-            layer.children = extractLayers(child.children, depth + 1);
+            const ignoredChildren = [];
+            layer.children = extractLayers(child.children, depth + 1, pendingImages, ignoredChildren);
+            if (ignoredChildren.length > 0) {
+                layer.ignoredLayers = ignoredChildren;
+            }
 
             // Calculate group bounds from children if bounds are empty/zero
             if (layer.type === 'group' && layer.children.length > 0) {
@@ -71,12 +142,52 @@ function extractLayers(children, depth = 0) {
             }
         }
 
+        if (pendingImages && layer.hasImage && child.imageData) {
+            pendingImages.push({ layerInfo: layer, imageData: child.imageData });
+        }
+
         layers.push(layer);
     }
 
     return layers;
 }
 
+/**
+ * Collect root-level artboards with their layers relative to the artboard origin
+ * @param {Array} layers - Extracted root layers
+ * @returns {Array} Array of {id, name, width, height, bounds, layers}
+ */
+function extractArtboards(layers) {
+    return layers
+        .filter(layer => layer.artboard)
+        .map(layer => ({
+            id: layer.id,
+            name: layer.name,
+            width: layer.artboard.width,
+            height: layer.artboard.height,
+            bounds: layer.artboard,
+            layers: translateLayers(layer.children, -layer.artboard.left, -layer.artboard.top, -1)
+        }));
+}
+
+/**
+ * Clone a layer tree with shifted bounds and depth
+ */
+function translateLayers(layers, dx, dy, depthOffset) {
+    return (layers || []).map(layer => ({
+        ...layer,
+        depth: layer.depth + depthOffset,
+        bounds: {
+            ...layer.bounds,
+            top: layer.bounds.top + dy,
+            left: layer.bounds.left + dx,
+            right: layer.bounds.right + dx,
+            bottom: layer.bounds.bottom + dy
+        },
+        children: translateLayers(layer.children, dx, dy, depthOffset)
+    }));
+}
+
 /**
  * Calculate bounding box from children layers
  * @param {Array} children - Array of child layer objects
@@ -128,9 +239,15 @@ function extractLayerInfo(layer, depth) {
     const isGroup = layer.children && layer.children.length > 0;
     const isText = layer.text !== undefined;
 
+    // "btn_signup [link=/register]": settings in brackets aren't part of the name
+    const { name, directives, warnings } = LayerDirectiveHelper.parse(layer.name || 'Unnamed Layer');
+    for (const warning of warnings) {
+        Logger.warn(`Layer "${name}": ${warning}`);
+    }
+
     const layerInfo = {
         id: generateId(),
-        name: layer.name || 'Unnamed Layer',
+        name,
         type: getLayerType(layer),
         visible: !layer.hidden,
         depth: depth,
@@ -142,9 +259,28 @@ function extractLayerInfo(layer, depth) {
             width: (layer.right || 0) - (layer.left || 0),
             height: (layer.bottom || 0) - (layer.top || 0)
         },
-        children: []
+        children: [],
+        ...(Object.keys(directives).length > 0 ? { directives } : {}),
+        ...(warnings.length > 0 ? { directiveWarnings: warnings } : {})
     };
 
+    // Artboard frame (its children are positioned in document space)
+    if (layer.artboard?.rect) {
+        const { top, left, right, bottom } = layer.artboard.rect;
+        layerInfo.artboard = { top, left, right, bottom, width: right - left, height: bottom - top };
+    }
+
+    // Opacity, shadow, stroke and corner radius
+    const style = LayerStyleExtractor.extract(layer);
+    if (style) {
+        layerInfo.style = style;
+    }
+
+    const unmappedEffects = LayerStyleExtractor.getUnmappedEffects(layer);
+    if (unmappedEffects.length > 0) {
+        layerInfo.unmappedEffects = unmappedEffects;
+    }
+
     // Extract text info if it's a text layer
     if (isText && layer.text) {
         layerInfo.textInfo = TextStyleExtractor.extract(layer.text);
@@ -155,6 +291,18 @@ function extractLayerInfo(layer, depth) {
     // Check for image content
     if (!isGroup && !isText) {
         layerInfo.hasImage = true;
+
+        // Solid color or gradient fill (used for container backgrounds)
+        const fill = LayerStyleExtractor.extractFill(layer);
+        if (fill) {
+            layerInfo.fill = fill;
+        }
+
+        // Nothing shows: a transparent box that only reserves space
+        const hasOutline = style?.border || style?.shadow || unmappedEffects.length > 0;
+        if (layer.opacity === 0 || (layer.fillOpacity === 0 && !hasOutline)) {
+            layerInfo.isTransparent = true;
+        }
     }
 
 
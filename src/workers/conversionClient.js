@@ -0,0 +1,71 @@
+/**
+ * Conversion Client
+ * Runs conversions in the conversion worker, one at a time
+ */
+
+let worker = null;
+let pending = null;
+
+/**
+ * Parse, classify and generate a PSD in the worker
+ * @param {File} file - PSD file
+ * @param {Object} options - {exportImages, imageFormat, useSmartDetection, artboardMode, layoutMode, namingRules}
+ * @param {Function} onProgress - Progress callback (percent, status)
+ * @returns {Promise<Array>} Classified pages with their generated templates
+ */
+export function convertInWorker(file, options, onProgress = () => { }) {
+    if (pending) {
+        return Promise.reject(new Error('A conversion is already running'));
+    }
+
+    if (!worker) {
+        worker = new Worker(new URL('./conversionWorker.js', import.meta.url), { type: 'module' });
+    }
+
+    return new Promise((resolve, reject) => {
+        pending = { reject };
+
+        worker.onmessage = (e) => {
+            const message = e.data;
+
+            if (message.type === 'progress') {
+                onProgress(message.percent, message.status);
+                return;
+            }
+
+            pending = null;
+            if (message.type === 'done') {
+                resolve(message.pages);
+            } else {
+                reject(new Error(message.message));
+            }
+        };
+
+        worker.onerror = (e) => {
+            e.preventDefault();
+            pending = null;
+            reject(new Error(e.message || 'Conversion worker failed'));
+        };
+
+        worker.postMessage({ type: 'convert', file, options });
+    });
+}
+
+/**
+ * Stop the running conversion
+ * The worker is terminated (readPsd can't be interrupted) and recreated on the next conversion
+ * @returns {boolean} Whether a conversion was running
+ */
+export function cancelConversion() {
+    if (!pending) return false;
+
+    worker.terminate();
+    worker = null;
+
+    const error = new Error('Conversion cancelled');
+    error.name = 'AbortError';
+    pending.reject(error);
+    pending = null;
+
+    return true;
+}
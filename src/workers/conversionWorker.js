@@ -0,0 +1,79 @@
+/**
+ * Conversion Worker
+ * Parses, classifies and generates PSDs off the main thread so the page stays responsive
+ *
+ * MESSAGES:
+ * - in:  {type: 'convert', file, options: {exportImages, imageFormat, useSmartDetection, artboardMode, layoutMode, namingRules}}
+ * - out: {type: 'progress', percent, status}
+ * - out: {type: 'done', pages} (pages share their psdData, page.generated holds
+ *   {layout, json, sources}, the template without globals and its element/layer pairs)
+ * - out: {type: 'error', message}
+ */
+
+import { parsePsdFile } from '../parsers/psdParser.js';
+import { classifyLayers } from '../classifiers/layerClassifier.js';
+import { generatePage, getPageTitle } from '../generators/pageGenerator.js';
+import { NamingRules } from '../classifiers/NamingRules.js';
+import { ArtboardHelper } from '../helpers/ArtboardHelper.js';
+import { Logger } from '../helpers/Logger.js';
+
+Logger.setSink(console);
+
+self.addEventListener('message', async (e) => {
+    const { type, file, options } = e.data;
+    if (type !== 'convert') return;
+
+    const onProgress = (percent, status) => self.postMessage({ type: 'progress', percent, status });
+
+    try {
+        self.postMessage({ type: 'done', pages: await convertFile(file, options, onProgress) });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
+
+/**
+ * Parse one PSD, then classify and generate each of its pages
+ */
+async function convertFile(file, options, onProgress) {
+    const psdData = await parsePsdFile(file, onProgress, {
+        exportImages: options.exportImages,
+        imageFormat: options.imageFormat
+    });
+
+    const pages = ArtboardHelper.createPages(psdData, options.artboardMode).map(page => ({
+        ...page,
+        psdData,
+        fileName: psdData.fileName
+    }));
+
+    const status = options.useSmartDetection ? 'Smart detecting structure...' : 'Classifying layers...';
+    const namingRules = options.namingRules ? new NamingRules(options.namingRules) : null;
+    const classify = (page) => classifyLayers(page.layers, {
+        useSmartDetection: options.useSmartDetection,
+        canvasWidth: page.width,
+        namingRules
+    });
+
+    const count = (index) => pages.length > 1 ? ` (${index + 1}/${pages.length})` : '';
+
+    pages.forEach((page, index) => {
+        onProgress(90 + 10 * index / pages.length, status + count(index));
+
+        page.classifiedLayers = classify(page);
+        page.breakpoints.forEach(breakpoint => {
+            breakpoint.classifiedLayers = classify(breakpoint);
+        });
+
+        onProgress(90 + 10 * (index + 0.5) / pages.length, 'Generating Elementor JSON...' + count(index));
+
+        // Sources point into the template and the classified layers, postMessage keeps those references
+        const layout = options.layoutMode;
+        page.generated = {
+            layout,
+            ...generatePage(page, { title: getPageTitle(page, pages), layout, namingRules })
+        };
+    });
+
+    return pages;
+}
@@ -0,0 +1,60 @@
+
+import { classifyLayers } from './src/classifiers/layerClassifier.js';
+
+// Mock layer data for testing
+const bounds = (left, top, width, height) => ({ left, top, width, height, right: left + width, bottom: top + height });
+
+const mockImage = (name, b) => ({ id: name, name, type: 'image', visible: true, bounds: b, hasImage: true, children: [] });
+const mockText = (name, b, fontSize) => ({ id: name, name, type: 'text', visible: true, bounds: b, textInfo: { text: name, fontSize }, children: [] });
+const mockGroup = (name, children) => ({ id: name, name, type: 'group', visible: true, bounds: bounds(0, 0, 400, 300), children });
+
+function check(title, scenario, expected, actual) {
+    const pass = expected === actual;
+    console.log(`${title}:`);
+    console.log(`Scenario: ${scenario}`);
+    console.log(`Expected: ${expected}`);
+    console.log(`Actual:   ${actual}`);
+    console.log(pass ? "PASS" : "FAIL");
+    console.log("--------------------------------");
+    if (!pass) process.exitCode = 1;
+}
+
+function runTests() {
+    console.log("Running Background Detection Tests...\n");
+
+    // Test 1: Unnamed group whose image fills the group
+    // Previously: the image was taken as the background, leaving an icon box without image
+    // Expected: Image Box that keeps its image
+    const [card] = classifyLayers([mockGroup('Group 1', [
+        mockImage('img_photo', bounds(0, 0, 400, 300)),
+        mockText('Title', bounds(20, 200, 360, 40), 28),
+        mockText('Description', bounds(20, 250, 360, 20), 14)
+    ])]);
+
+    check("Test 1 (Image Box with full-size image)", "Group 1: img_photo (400x300) + Heading + Text",
+        'image-box / image kept / no background',
+        `${card.widgetType} / ${card.children.some(c => c.name === 'img_photo') ? 'image kept' : 'image removed'} / ${card.background ? 'background' : 'no background'}`);
+
+    // Test 2: Image box named as such
+    const [namedCard] = classifyLayers([mockGroup('card_service', [
+        mockImage('img_service', bounds(0, 0, 400, 300)),
+        mockText('heading_service', bounds(20, 200, 360, 40), 28)
+    ])]);
+
+    check("Test 2 (Named Image Box)", "card_service: img_service (400x300) + heading_service",
+        'image-box / 2 children / no background',
+        `${namedCard.widgetType} / ${namedCard.children.length} children / ${namedCard.background ? 'background' : 'no background'}`);
+
+    // Test 3: Containers still get their background
+    const [section] = classifyLayers([mockGroup('section_hero', [
+        mockImage('hero_bg', bounds(0, 0, 400, 300)),
+        mockText('heading_hero', bounds(20, 100, 360, 40), 48),
+        { ...mockImage('btn_start', bounds(20, 200, 160, 48)), type: 'shape' }
+    ])]);
+
+    check("Test 3 (Section background)", "section_hero: hero_bg (400x300) + Heading + Button",
+        'container / background hero_bg / 2 children',
+        `${section.widgetType} / background ${section.background?.layerName} / ${section.children.length} children`);
+}
+
+runTests();
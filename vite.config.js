@@ -9,6 +9,16 @@ export default defineConfig({
   build: {
     outDir: 'dist',
     sourcemap: true
+  },
+  worker: {
+    // Module workers, so they can lazy-load chunks (the YAML parser)
+    format: 'es',
+    rollupOptions: {
+      output: {
+        // Keep worker chunks apart from the page chunks of the same module
+        chunkFileNames: 'assets/worker-[name]-[hash].js'
+      }
+    }
   }
 });
 